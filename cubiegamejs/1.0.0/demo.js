@@ -0,0 +1,340 @@
+// ============ DEMO GAME ============
+// Builds the showcase scene on an existing engine instance.
+export function setupDemo(cubie) {
+  // Setup scene
+  cubie.scene.setBackground(0x87ceeb);
+  cubie.scene.setFog(0x87ceeb, 20, 100);
+
+  // Collision layers: pickups only ever touch the player
+  cubie.physics.setLayers(['default', 'player', 'pickup'], {
+    pickup: ['player']
+  });
+
+  // Ground
+  cubie.primitive.plane('ground', {
+    width: 100,
+    height: 100,
+    color: 0x228b22,
+    physics: { isStatic: true }
+  });
+
+  // Player
+  const player = cubie.primitive.box('player', {
+    width: 1,
+    height: 2,
+    depth: 1,
+    color: 0xff0000,
+    position: { x: 0, y: 1, z: 0 },
+    physics: { mass: 1, friction: 0.9, useGravity: true, layer: 'player' }
+  });
+
+  player.addTag('player');
+
+  // Level layout comes from its own seeded stream: same seed, same level
+  const rng = cubie.random.stream('level');
+
+  // Prefabs
+  cubie.prefab.define('obstacle', {
+    primitive: 'box',
+    tags: ['obstacle']
+  });
+
+  cubie.prefab.define('ball', {
+    primitive: { type: 'sphere', radius: 0.5 },
+    physics: { mass: 0.5, restitution: 0.9, useGravity: true }
+  });
+
+  cubie.prefab.define('coin', {
+    primitive: { type: 'sphere', radius: 0.3 },
+    material: { color: 0xffff00 },
+    tags: ['collectible'],
+    components: { value: { points: 10 } },
+    // Moved by its script; the trigger reports the player without pushing it
+    physics: { isStatic: true, trigger: true, layer: 'pickup' },
+    scripts: [
+      // Floating animation
+      () => ({
+        time: rng.next() * Math.PI * 2,
+        init(entity) {
+          this.startY = entity.position.get().y;
+        },
+        update(dt, entity) {
+          this.time += dt * 2;
+          const pos = entity.position.get();
+          pos.y = this.startY + Math.sin(this.time) * 0.3;
+          entity.position.set(pos);
+          entity.rotate.set({ x: 0, y: this.time, z: 0 });
+        }
+      })
+    ]
+  });
+
+  // Obstacles
+  for (let i = 0; i < 8; i++) {
+    cubie.prefab.spawn('obstacle', {
+      name: `box${i}`,
+      primitive: {
+        width: rng.next() + 0.5,
+        height: rng.next() * 2 + 1,
+        depth: rng.next() + 0.5
+      },
+      material: { color: rng.next() * 0xffffff },
+      position: {
+        x: (rng.next() - 0.5) * 30,
+        y: 0.5,
+        z: (rng.next() - 0.5) * 30
+      }
+    });
+  }
+
+  // Spheres
+  for (let i = 0; i < 5; i++) {
+    cubie.prefab.spawn('ball', {
+      name: `sphere${i}`,
+      material: { color: rng.next() * 0xffffff },
+      position: {
+        x: (rng.next() - 0.5) * 25,
+        y: rng.next() * 5 + 3,
+        z: (rng.next() - 0.5) * 25
+      }
+    });
+  }
+
+  // Controls: keyboard, gamepad and on-screen touch controls feed the same
+  // actions, rebindable at runtime
+  cubie.input.addJoystick('stick', { x: 110, y: -110 });
+  cubie.input.addButton('jumpButton', { x: -90, y: -90, label: 'A' });
+  cubie.input.defineAction('jump', ['Space', 'gamepad:A', 'virtual:jumpButton']);
+  cubie.input.defineAxis2D('move', {
+    x: { negative: ['A', 'ArrowLeft'], positive: ['D', 'ArrowRight'], analog: ['gamepad:leftStickX', 'virtual:stick.x'] },
+    y: { negative: ['W', 'ArrowUp'], positive: ['S', 'ArrowDown'], analog: ['gamepad:leftStickY', 'virtual:stick.y'] }
+  });
+  cubie.input.loadBindings().catch(() => {});
+
+  // Player controller system
+  const playerController = {
+    enabled: true,
+    speed: 8,
+    jumpForce: 8,
+    canJump: true,
+    rotationSpeed: 3,
+  
+    update: (dt) => {
+      const body = cubie.physics.bodies.find(b => b.entity === player);
+      if (!body) return;
+    
+      const pos = player.position.get();
+    
+      // Movement
+      const move = cubie.input.getAxis2D('move');
+      const moveX = move.x;
+      const moveZ = move.y;
+    
+      // Apply movement
+      body.velocity.x = moveX * playerController.speed;
+      body.velocity.z = moveZ * playerController.speed;
+    
+      // Rotation based on movement
+      if (moveX !== 0 || moveZ !== 0) {
+        const targetRotation = Math.atan2(moveX, moveZ);
+        const currentRotation = player.rotate.get().y;
+        const newRotation = currentRotation + (targetRotation - currentRotation) * playerController.rotationSpeed * dt;
+        player.rotate.set({ x: 0, y: newRotation, z: 0 });
+      }
+    
+      // Jump
+      if (pos.y <= 1.1) playerController.canJump = true;
+    
+      if (cubie.input.isActionPressed('jump') && playerController.canJump) {
+        body.velocity.y = playerController.jumpForce;
+        playerController.canJump = false;
+        cubie.audio.play && cubie.logger.debug('Jump!');
+      }
+    }
+  };
+
+  cubie.system.add('playerController', playerController);
+
+  // Camera follow system
+  cubie.camera.follow(player, { x: 0, y: 8, z: 15 });
+
+  // Rotation system
+  const rotationSystem = {
+    enabled: true,
+    update: (dt) => {
+      cubie.entity.findByTag('obstacle').forEach(entity => {
+        const rot = entity.rotate.get();
+        entity.rotate.set({ x: rot.x, y: rot.y + dt, z: rot.z });
+      });
+    }
+  };
+
+  cubie.system.add('rotation', rotationSystem);
+
+  // Particle effects
+  const particleEmitter = cubie.particles.createEmitter({
+    position: { x: 8, y: 2, z: 8 },
+    rate: 30,
+    lifetime: 2.5,
+    velocity: { x: 0, y: 3, z: 0 },
+    velocityVariance: { x: 1, y: 0.5, z: 1 },
+    color: 0xffaa00,
+    size: 0.3,
+    sizeEnd: 0,
+    alpha: 1,
+    alphaEnd: 0
+  });
+
+  // Collectible system
+  for (let i = 0; i < 10; i++) {
+    cubie.prefab.spawn('coin', {
+      name: `coin${i}`,
+      position: {
+        x: (rng.next() - 0.5) * 40,
+        y: 1,
+        z: (rng.next() - 0.5) * 40
+      }
+    });
+  }
+
+  // Collectibles are triggers on the 'pickup' layer; triggerEnter fires once
+  // when the player first touches one
+  let score = 0;
+  player.on('triggerEnter', ({ other: collectible }) => {
+    if (collectible.hasTag('collectible')) {
+      collectible.destroy();
+      score += collectible.getComponent('value').points;
+      cubie.logger.success(`Collected! Score: ${score}`);
+      cubie.input.rumble(0, { duration: 120, strong: 0.2, weak: 0.6 });
+    
+      // Spawn particle burst
+      const pos = collectible.position.get();
+      const burst = cubie.particles.createEmitter({
+        position: pos,
+        rate: 100,
+        lifetime: 0.5,
+        velocity: { x: 0, y: 5, z: 0 },
+        velocityVariance: { x: 3, y: 3, z: 3 },
+        color: 0xffff00,
+        size: 0.2,
+        maxParticles: 50
+      });
+    
+      setTimeout(() => {
+        cubie.particles.removeEmitter(burst);
+      }, 1000);
+    }
+  });
+
+  // Lighting
+  cubie.light.add('point', {
+    color: 0xff8800,
+    intensity: 2,
+    distance: 20,
+    position: { x: 8, y: 3, z: 8 }
+  });
+
+  cubie.light.add('point', {
+    color: 0x00ff88,
+    intensity: 1.5,
+    distance: 15,
+    position: { x: -10, y: 3, z: -10 }
+  });
+
+  // Event listeners
+  cubie.events.on('start', () => {
+    cubie.logger.info('Game started!');
+  });
+
+  cubie.events.on('pause', () => {
+    cubie.logger.warn('Game paused');
+  });
+
+  cubie.events.on('resume', () => {
+    cubie.logger.info('Game resumed');
+  });
+
+  // Tween example - pulsating box
+  const pulseBox = cubie.primitive.box('pulseBox', {
+    width: 1,
+    height: 1,
+    depth: 1,
+    color: 0xff00ff,
+    position: { x: -8, y: 2, z: -8 }
+  });
+
+  const pulseTween = () => {
+    cubie.tweens.to(pulseBox.mesh.scale, { x: 1.5, y: 1.5, z: 1.5 }, 1, {
+      easing: cubie.tweens.easeInOutQuad,
+      onComplete: () => {
+        cubie.tweens.to(pulseBox.mesh.scale, { x: 1, y: 1, z: 1 }, 1, {
+          easing: cubie.tweens.easeInOutQuad,
+          onComplete: pulseTween
+        });
+      }
+    });
+  };
+  pulseTween();
+
+  // Debug commands
+  window.cubie = cubie;
+  window.cubieDebug = {
+    spawnSphere: () => {
+      const sphere = cubie.prefab.spawn('ball', {
+        name: 'sphere',
+        material: { color: cubie.random.next() * 0xffffff },
+        position: { x: 0, y: 10, z: 0 },
+        physics: { mass: 1, restitution: 0.8 }
+      });
+      cubie.logger.info('Sphere spawned!');
+      return sphere;
+    },
+    clearPhysics: () => {
+      cubie.physics.bodies = [];
+      cubie.logger.info('Physics cleared');
+    },
+    toggleSystem: (name) => {
+      const system = cubie.system.get(name);
+      if (system) {
+        system.enabled = !system.enabled;
+        cubie.logger.info(`System ${name}: ${system.enabled ? 'enabled' : 'disabled'}`);
+      }
+    },
+    getStats: () => cubie.performance.getStats(),
+    getSeed: () => cubie.random.seed,
+    setTimeScale: (scale) => cubie.setTimeScale(scale),
+    pause: () => cubie.pause(),
+    resume: () => cubie.resume(),
+    step: (frames = 1, dt) => {
+      if (!cubie.isPaused) cubie.pause();
+      cubie.step(frames, dt);
+      cubie.logger.info(`Stepped ${frames} frame(s), time: ${cubie.time.toFixed(3)}s`);
+    },
+    record: () => cubie.input.startRecording(),
+    stopRecording: () => {
+      window.cubieDebug.lastRecording = cubie.input.stopRecording();
+      return JSON.stringify(window.cubieDebug.lastRecording);
+    },
+    replay: (log = window.cubieDebug.lastRecording) => cubie.input.replay(log),
+    // e.g. rebind('jump') then press a key; Escape cancels
+    rebind: async (action, oldBinding = null) => {
+      const binding = await cubie.input.captureBinding();
+      if (!binding) return;
+      cubie.input.rebind(action, oldBinding, binding);
+      await cubie.input.saveBindings();
+      cubie.logger.info(`${action} bound to ${binding}`);
+    },
+    resetBindings: () => {
+      cubie.input.resetBindings();
+      return cubie.input.saveBindings();
+    },
+    setGravity: (g) => {
+      cubie.physics.setGravity(g);
+      cubie.logger.info(`Gravity set to ${g}`);
+    }
+  };
+
+  cubie.logger.success('CubieGameJS initialized successfully!');
+  cubie.logger.info('Controls: WASD = Move, SPACE = Jump');
+  cubie.logger.info('Open console and type "window.cubieDebug" for debug commands');
+}
@@ -0,0 +1,106 @@
+import * as THREE from 'three';
+
+// ============ ASSET SYSTEM ============
+export class AssetSystem {
+  constructor(engine) {
+    this.engine = engine;
+    this.textures = new Map();
+    this.images = new Map();
+    this.models = new Map();
+    this.data = new Map();
+    this.textureLoader = null;
+    
+    if (engine.config.mode === '3d') {
+      this.textureLoader = new THREE.TextureLoader();
+    }
+  }
+  
+  async loadTexture(name, url) {
+    // Headless engines get an empty texture so materials can still reference it
+    if (this.engine.config.mode === 'headless') {
+      const texture = new THREE.Texture();
+      texture.name = name;
+      this.textures.set(name, texture);
+      return texture;
+    }
+    
+    return new Promise((resolve, reject) => {
+      this.textureLoader.load(url, (texture) => {
+        this.textures.set(name, texture);
+        this.engine.logger.debug(`Texture loaded: ${name}`);
+        resolve(texture);
+      }, undefined, reject);
+    });
+  }
+  
+  async loadImage(name, url) {
+    if (this.engine.config.mode === 'headless') {
+      this.engine.logger.debug(`Image skipped (headless): ${name}`);
+      return null;
+    }
+    
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        this.images.set(name, img);
+        this.engine.logger.debug(`Image loaded: ${name}`);
+        resolve(img);
+      };
+      img.onerror = reject;
+      img.src = url;
+    });
+  }
+  
+  async loadJSON(name, url) {
+    try {
+      const response = await fetch(url);
+      const data = await response.json();
+      this.data.set(name, data);
+      this.engine.logger.debug(`JSON loaded: ${name}`);
+      return data;
+    } catch (error) {
+      this.engine.logger.error(`Failed to load JSON: ${name}`, error);
+      throw error;
+    }
+  }
+  
+  async loadMultiple(assets, onProgress) {
+    const total = assets.length;
+    let loaded = 0;
+    
+    const promises = assets.map(async (asset) => {
+      let result;
+      switch (asset.type) {
+        case 'texture':
+          result = await this.loadTexture(asset.name, asset.url);
+          break;
+        case 'image':
+          result = await this.loadImage(asset.name, asset.url);
+          break;
+        case 'json':
+          result = await this.loadJSON(asset.name, asset.url);
+          break;
+        case 'audio':
+          result = await this.engine.audio.load(asset.name, asset.url);
+          break;
+      }
+      loaded++;
+      if (onProgress) onProgress(loaded / total);
+      return result;
+    });
+    
+    return Promise.all(promises);
+  }
+  
+  getTexture(name) {
+    return this.textures.get(name);
+  }
+  
+  getImage(name) {
+    return this.images.get(name);
+  }
+  
+  getData(name) {
+    return this.data.get(name);
+  }
+}
@@ -0,0 +1,113 @@
+import * as THREE from 'three';
+
+// ============ AUDIO SYSTEM ============
+export class AudioSystem {
+  constructor(engine) {
+    this.engine = engine;
+    this.sounds = new Map();
+    this.music = null;
+    this.masterVolume = 1.0;
+    this.soundVolume = 1.0;
+    this.musicVolume = 1.0;
+    this.listener = null;
+    this.audioLoader = null;
+    
+    if (engine.config.mode === '3d') {
+      this.listener = new THREE.AudioListener();
+      this.audioLoader = new THREE.AudioLoader();
+    }
+  }
+  
+  async load(name, url) {
+    // Nothing can play headless; keep the name unregistered so play() is a no-op
+    if (this.engine.config.mode === 'headless') {
+      this.engine.logger.debug(`Audio skipped (headless): ${name}`);
+      return null;
+    }
+    
+    return new Promise((resolve, reject) => {
+      if (this.engine.config.mode === '3d') {
+        const sound = new THREE.Audio(this.listener);
+        this.audioLoader.load(url, (buffer) => {
+          sound.setBuffer(buffer);
+          this.sounds.set(name, sound);
+          this.engine.logger.debug(`Audio loaded: ${name}`);
+          resolve(sound);
+        }, undefined, reject);
+      } else {
+        const audio = new Audio(url);
+        audio.addEventListener('canplaythrough', () => {
+          this.sounds.set(name, audio);
+          this.engine.logger.debug(`Audio loaded: ${name}`);
+          resolve(audio);
+        });
+        audio.addEventListener('error', reject);
+      }
+    });
+  }
+  
+  play(name, options = {}) {
+    const sound = this.sounds.get(name);
+    if (sound) {
+      const volume = (options.volume || 1) * this.soundVolume * this.masterVolume;
+      sound.setVolume ? sound.setVolume(volume) : (sound.volume = volume);
+      sound.setLoop ? sound.setLoop(options.loop || false) : (sound.loop = options.loop || false);
+      sound.play();
+      this.engine.logger.debug(`Playing sound: ${name}`);
+    }
+  }
+  
+  stop(name) {
+    const sound = this.sounds.get(name);
+    if (sound && (sound.isPlaying || !sound.paused)) {
+      sound.stop ? sound.stop() : sound.pause();
+    }
+  }
+  
+  playMusic(name, options = {}) {
+    if (this.music && (this.music.isPlaying || !this.music.paused)) {
+      this.music.stop ? this.music.stop() : this.music.pause();
+    }
+    this.music = this.sounds.get(name);
+    if (this.music) {
+      const volume = (options.volume || 1) * this.musicVolume * this.masterVolume;
+      this.music.setVolume ? this.music.setVolume(volume) : (this.music.volume = volume);
+      this.music.setLoop ? this.music.setLoop(true) : (this.music.loop = true);
+      this.music.play();
+      this.engine.logger.info(`Playing music: ${name}`);
+    }
+  }
+  
+  stopMusic() {
+    if (this.music) {
+      this.music.stop ? this.music.stop() : this.music.pause();
+    }
+  }
+  
+  setMasterVolume(volume) {
+    this.masterVolume = Math.max(0, Math.min(1, volume));
+  }
+  
+  setSoundVolume(volume) {
+    this.soundVolume = Math.max(0, Math.min(1, volume));
+  }
+  
+  setMusicVolume(volume) {
+    this.musicVolume = Math.max(0, Math.min(1, volume));
+  }
+  
+  stopAll() {
+    this.sounds.forEach((sound, name) => this.stop(name));
+    this.stopMusic();
+  }
+  
+  destroy() {
+    this.stopAll();
+    this.sounds.forEach(sound => {
+      if (sound.gain) sound.gain.disconnect();
+      if (sound.removeAttribute) sound.removeAttribute('src');
+    });
+    this.sounds.clear();
+    this.music = null;
+  }
+}
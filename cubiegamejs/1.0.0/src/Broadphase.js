@@ -0,0 +1,192 @@
+// ============ BROADPHASE ============
+// Finds the body pairs worth handing to the narrowphase. A broadphase is any
+// object with findPairs(bodies, canPair) returning [bodyA, bodyB] pairs whose
+// world bounds (body.aabb, see Colliders.shapeBounds) overlap and that
+// canPair accepts. Pairs come out in body order, so the simulation stays deterministic
+// whichever broadphase is used.
+//   'sap'     sweep and prune along the axis the bodies are most spread on (default)
+//   'hash'    uniform spatial hash, { cellSize }
+//   'brute'   every pair, for tiny scenes and debugging
+export const BROADPHASE_TYPES = ['sap', 'hash', 'brute'];
+
+export function createBroadphase(type, options = {}) {
+  if (typeof type === 'object' && type !== null) return type;
+  switch (type) {
+    case 'sap':
+    case 'sweep':
+      return new SweepAndPruneBroadphase(options);
+    case 'hash':
+    case 'grid':
+      return new SpatialHashBroadphase(options);
+    case 'brute':
+    case 'none':
+      return new BruteForceBroadphase();
+    default:
+      throw new Error(`Unknown broadphase: ${type} (expected ${BROADPHASE_TYPES.join(', ')})`);
+  }
+}
+
+export class BruteForceBroadphase {
+  constructor() {
+    this.type = 'brute';
+  }
+  
+  findPairs(bodies, canPair) {
+    const pairs = [];
+    for (let i = 0; i < bodies.length; i++) {
+      for (let j = i + 1; j < bodies.length; j++) {
+        if (overlaps(bodies[i].aabb, bodies[j].aabb) && canPair(bodies[i], bodies[j])) {
+          pairs.push([bodies[i], bodies[j]]);
+        }
+      }
+    }
+    return pairs;
+  }
+}
+
+export class SweepAndPruneBroadphase {
+  constructor(options = {}) {
+    this.type = 'sap';
+    this.axis = options.axis || 'auto'; // 'x', 'y', 'z' or 'auto'
+    this.order = []; // last frame's sorted order
+  }
+  
+  findPairs(bodies, canPair) {
+    const axis = this.axis === 'auto' ? spreadAxis(bodies) : this.axis;
+    const min = `min${axis.toUpperCase()}`;
+    const max = `max${axis.toUpperCase()}`;
+    
+    // Keep last frame's order (bodies barely move between steps) and append new ones
+    const index = new Map(bodies.map((body, i) => [body, i]));
+    const order = this.order.filter(body => index.has(body));
+    if (order.length !== bodies.length) {
+      const known = new Set(order);
+      bodies.forEach(body => {
+        if (!known.has(body)) order.push(body);
+      });
+    }
+    // Array sort is adaptive, so nearly sorted input sorts in close to linear time
+    order.sort((a, b) => (a.aabb[min] - b.aabb[min]) || 0);
+    this.order = order;
+    
+    const pairs = [];
+    const active = [];
+    order.forEach(body => {
+      // Drop bodies that ended before this one starts
+      for (let i = active.length - 1; i >= 0; i--) {
+        if (active[i].aabb[max] < body.aabb[min]) active.splice(i, 1);
+      }
+      active.forEach(other => {
+        if (!overlaps(body.aabb, other.aabb)) return;
+        const [a, b] = index.get(other) < index.get(body) ? [other, body] : [body, other];
+        if (canPair(a, b)) pairs.push([a, b]);
+      });
+      active.push(body);
+    });
+    return sortPairs(pairs, index);
+  }
+}
+
+export class SpatialHashBroadphase {
+  constructor(options = {}) {
+    this.type = 'hash';
+    this.cellSize = options.cellSize || 4;
+    // Bodies spanning more cells than this (huge or infinite ones) skip the grid
+    this.maxCells = options.maxCells || 64;
+  }
+  
+  findPairs(bodies, canPair) {
+    const size = this.cellSize;
+    const cells = new Map();
+    const large = [];
+    
+    bodies.forEach((body, i) => {
+      const b = body.aabb;
+      const x0 = Math.floor(b.minX / size);
+      const y0 = Math.floor(b.minY / size);
+      const z0 = Math.floor(b.minZ / size);
+      const x1 = Math.floor(b.maxX / size);
+      const y1 = Math.floor(b.maxY / size);
+      const z1 = Math.floor(b.maxZ / size);
+      const count = (x1 - x0 + 1) * (y1 - y0 + 1) * (z1 - z0 + 1);
+      if (!(count <= this.maxCells)) { // NaN for infinite bounds
+        large.push(i);
+        return;
+      }
+      
+      for (let x = x0; x <= x1; x++) {
+        for (let y = y0; y <= y1; y++) {
+          for (let z = z0; z <= z1; z++) {
+            const key = `${x},${y},${z}`;
+            const cell = cells.get(key);
+            if (cell) cell.push(i);
+            else cells.set(key, [i]);
+          }
+        }
+      }
+    });
+    
+    // Bodies sharing several cells would pair once per cell
+    const seen = new Set();
+    const pairs = [];
+    const consider = (i, j) => {
+      if (i > j) [i, j] = [j, i];
+      const key = i * bodies.length + j;
+      if (seen.has(key)) return;
+      seen.add(key);
+      const a = bodies[i];
+      const b = bodies[j];
+      if (overlaps(a.aabb, b.aabb) && canPair(a, b)) pairs.push([a, b]);
+    };
+    
+    cells.forEach(cell => {
+      for (let i = 0; i < cell.length; i++) {
+        for (let j = i + 1; j < cell.length; j++) consider(cell[i], cell[j]);
+      }
+    });
+    large.forEach(i => {
+      for (let j = 0; j < bodies.length; j++) {
+        if (j !== i) consider(i, j);
+      }
+    });
+    
+    const index = new Map(bodies.map((body, i) => [body, i]));
+    return sortPairs(pairs, index);
+  }
+}
+
+function overlaps(a, b) {
+  return a.minX <= b.maxX && a.maxX >= b.minX &&
+    a.minY <= b.maxY && a.maxY >= b.minY &&
+    a.minZ <= b.maxZ && a.maxZ >= b.minZ;
+}
+
+// Axis with the most spread of bounds centres (infinite bounds ignored)
+function spreadAxis(bodies) {
+  let best = 'x';
+  let bestVariance = -1;
+  ['x', 'y', 'z'].forEach(axis => {
+    const min = `min${axis.toUpperCase()}`;
+    const max = `max${axis.toUpperCase()}`;
+    let sum = 0;
+    let sumSq = 0;
+    let count = 0;
+    bodies.forEach(body => {
+      const center = (body.aabb[min] + body.aabb[max]) / 2;
+      if (!Number.isFinite(center)) return;
+      sum += center;
+      sumSq += center * center;
+      count++;
+    });
+    const variance = count ? sumSq / count - (sum / count) * (sum / count) : 0;
+    if (variance > bestVariance) {
+      best = axis;
+      bestVariance = variance;
+    }
+  });
+  return best;
+}
+
+function sortPairs(pairs, index) {
+  return pairs.sort((p, q) => (index.get(p[0]) - index.get(q[0])) || (index.get(p[1]) - index.get(q[1])));
+}
@@ -0,0 +1,387 @@
+import * as THREE from 'three';
+
+// ============ COLLIDERS ============
+// Collider descriptors are plain JSON stored on the body (body.collider), in
+// the entity's local units before scale:
+//   { type: 'sphere', radius }
+//   { type: 'box', width, height, depth }      oriented by the entity's rotation
+//   { type: 'aabb', width, height, depth }     axis-aligned, ignores rotation
+//   { type: 'capsule', radius, height }        along local Y, height includes the caps
+//   { type: 'plane', width, height }           local XY like PlaneGeometry, facing +Z;
+//                                              infinite (a half-space) without width/height
+// Every step they become world-space shapes, and collide() turns a pair of
+// shapes into a contact { normal (from A to B), depth, point } or null.
+export const COLLIDER_TYPES = ['sphere', 'box', 'aabb', 'capsule', 'plane'];
+
+// Descriptor for addBody: the given collider with defaults filled in, or one
+// sized from the entity's primitive geometry when none is given
+export function createCollider(config, entity) {
+  const given = config.collider;
+  const collider = given === undefined
+    ? autoCollider(config, entity)
+    : typeof given === 'string' ? { type: given } : { ...given };
+  
+  switch (collider.type) {
+    case 'sphere':
+      if (collider.radius === undefined) collider.radius = config.radius || 1;
+      break;
+    case 'box':
+    case 'aabb':
+      collider.width = collider.width !== undefined ? collider.width : 1;
+      collider.height = collider.height !== undefined ? collider.height : 1;
+      collider.depth = collider.depth !== undefined ? collider.depth : 1;
+      break;
+    case 'capsule':
+      collider.radius = collider.radius !== undefined ? collider.radius : 0.5;
+      collider.height = collider.height !== undefined ? collider.height : 2;
+      break;
+    case 'plane':
+      break;
+    default:
+      throw new Error(`Unknown collider type: ${collider.type} (expected ${COLLIDER_TYPES.join(', ')})`);
+  }
+  return collider;
+}
+
+function autoCollider(config, entity) {
+  const geometry = entity.mesh && entity.mesh.geometry;
+  const p = geometry ? geometry.parameters : null;
+  
+  switch (geometry && geometry.type) {
+    case 'BoxGeometry':
+      return { type: 'box', width: p.width, height: p.height, depth: p.depth };
+    case 'SphereGeometry':
+      return { type: 'sphere', radius: config.radius || p.radius };
+    case 'CylinderGeometry':
+      return { type: 'capsule', radius: Math.max(p.radiusTop, p.radiusBottom), height: p.height };
+    case 'PlaneGeometry':
+      return { type: 'plane', width: p.width, height: p.height };
+  }
+  
+  // 2D sprites are boxes in the XY plane
+  if (!entity.mesh && entity.width && entity.height) {
+    return { type: 'box', width: entity.width, height: entity.height, depth: 1 };
+  }
+  return { type: 'sphere', radius: config.radius || 1 };
+}
+
+// ============ WORLD SHAPES ============
+// Shapes follow the entity's world transform, so children of moved,
+// rotated or scaled parents collide where they are drawn
+export function worldShape(collider, entity) {
+  const center = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  const scale = new THREE.Vector3();
+  if (entity.mesh) {
+    entity.mesh.updateWorldMatrix(true, false);
+    entity.mesh.matrixWorld.decompose(center, quaternion, scale);
+  } else {
+    const world = entity.getWorldTransform2D();
+    center.set(world.x, world.y, 0);
+    quaternion.setFromAxisAngle(new THREE.Vector3(0, 0, 1), world.rotation || 0);
+    scale.set(world.scaleX, world.scaleY, 1);
+  }
+  const axes = [
+    new THREE.Vector3(1, 0, 0).applyQuaternion(quaternion),
+    new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion),
+    new THREE.Vector3(0, 0, 1).applyQuaternion(quaternion)
+  ];
+  const sx = Math.abs(scale.x);
+  const sy = Math.abs(scale.y);
+  const sz = Math.abs(scale.z);
+  
+  switch (collider.type) {
+    case 'sphere':
+      return { type: 'sphere', center, radius: collider.radius * Math.max(sx, sy, sz) };
+    case 'box':
+      return { type: 'box', center, axes, half: [collider.width * sx / 2, collider.height * sy / 2, collider.depth * sz / 2] };
+    case 'aabb':
+      return {
+        type: 'box',
+        center,
+        axes: [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)],
+        half: [collider.width * sx / 2, collider.height * sy / 2, collider.depth * sz / 2]
+      };
+    case 'capsule': {
+      const radius = collider.radius * Math.max(sx, sz);
+      const segment = Math.max(0, collider.height * sy / 2 - radius);
+      return {
+        type: 'capsule',
+        a: center.clone().addScaledVector(axes[1], -segment),
+        b: center.clone().addScaledVector(axes[1], segment),
+        radius
+      };
+    }
+    case 'plane':
+      if (collider.width && collider.height) {
+        // A finite plane is a box with no thickness
+        return { type: 'box', center, axes, half: [collider.width * sx / 2, collider.height * sy / 2, 0] };
+      }
+      return { type: 'halfspace', center, normal: axes[2], offset: axes[2].dot(center) };
+  }
+  return null;
+}
+
+// World-space axis-aligned bounds of a shape, for the broadphase
+export function shapeBounds(shape) {
+  switch (shape.type) {
+    case 'sphere': {
+      const { center, radius } = shape;
+      return {
+        minX: center.x - radius, minY: center.y - radius, minZ: center.z - radius,
+        maxX: center.x + radius, maxY: center.y + radius, maxZ: center.z + radius
+      };
+    }
+    case 'capsule': {
+      const { a, b, radius } = shape;
+      return {
+        minX: Math.min(a.x, b.x) - radius, minY: Math.min(a.y, b.y) - radius, minZ: Math.min(a.z, b.z) - radius,
+        maxX: Math.max(a.x, b.x) + radius, maxY: Math.max(a.y, b.y) + radius, maxZ: Math.max(a.z, b.z) + radius
+      };
+    }
+    case 'box': {
+      const { center, axes, half } = shape;
+      const ex = half[0] * Math.abs(axes[0].x) + half[1] * Math.abs(axes[1].x) + half[2] * Math.abs(axes[2].x);
+      const ey = half[0] * Math.abs(axes[0].y) + half[1] * Math.abs(axes[1].y) + half[2] * Math.abs(axes[2].y);
+      const ez = half[0] * Math.abs(axes[0].z) + half[1] * Math.abs(axes[1].z) + half[2] * Math.abs(axes[2].z);
+      return {
+        minX: center.x - ex, minY: center.y - ey, minZ: center.z - ez,
+        maxX: center.x + ex, maxY: center.y + ey, maxZ: center.z + ez
+      };
+    }
+  }
+  // Half-spaces reach everywhere
+  return { minX: -Infinity, minY: -Infinity, minZ: -Infinity, maxX: Infinity, maxY: Infinity, maxZ: Infinity };
+}
+
+// ============ NARROWPHASE ============
+const RANK = { sphere: 0, capsule: 1, box: 2, halfspace: 3 };
+
+export function collide(a, b) {
+  if (RANK[a.type] > RANK[b.type]) {
+    const contact = collide(b, a);
+    if (contact) contact.normal = { x: -contact.normal.x, y: -contact.normal.y, z: -contact.normal.z };
+    return contact;
+  }
+  
+  switch (`${a.type}-${b.type}`) {
+    case 'sphere-sphere':
+      return spheres(a.center, a.radius, b.center, b.radius);
+    case 'sphere-capsule':
+      return spheres(a.center, a.radius, closestOnSegment(b.a, b.b, a.center), b.radius);
+    case 'sphere-box':
+      return sphereBox(a.center, a.radius, b);
+    case 'sphere-halfspace':
+      return flip(sphereHalfspace(b, a.center, a.radius));
+    case 'capsule-capsule': {
+      const [pa, pb] = closestBetweenSegments(a.a, a.b, b.a, b.b);
+      return spheres(pa, a.radius, pb, b.radius);
+    }
+    case 'capsule-box': {
+      // Segment point nearest the box, refined a few times
+      let p = closestOnSegment(a.a, a.b, b.center);
+      for (let i = 0; i < 3; i++) p = closestOnSegment(a.a, a.b, closestOnBox(b, p));
+      return sphereBox(p, a.radius, b);
+    }
+    case 'capsule-halfspace': {
+      const da = a.a.dot(b.normal) - b.offset;
+      const db = a.b.dot(b.normal) - b.offset;
+      const point = Math.abs(da - db) < 1e-6 ? a.a.clone().add(a.b).multiplyScalar(0.5) : da < db ? a.a : a.b;
+      return flip(sphereHalfspace(b, point, a.radius));
+    }
+    case 'box-box':
+      return boxes(a, b);
+    case 'box-halfspace':
+      return flip(boxHalfspace(b, a));
+  }
+  return null; // half-space pairs
+}
+
+function contact(normal, depth, point) {
+  return {
+    normal: { x: normal.x, y: normal.y, z: normal.z },
+    depth,
+    point: { x: point.x, y: point.y, z: point.z }
+  };
+}
+
+function flip(result) {
+  if (result) result.normal = { x: -result.normal.x, y: -result.normal.y, z: -result.normal.z };
+  return result;
+}
+
+function spheres(ca, ra, cb, rb) {
+  const delta = cb.clone().sub(ca);
+  const distance = delta.length();
+  if (distance >= ra + rb) return null;
+  
+  const normal = distance > 1e-9 ? delta.divideScalar(distance) : new THREE.Vector3(0, 1, 0);
+  const depth = ra + rb - distance;
+  return contact(normal, depth, ca.clone().addScaledVector(normal, ra - depth / 2));
+}
+
+function closestOnSegment(a, b, point) {
+  const ab = b.clone().sub(a);
+  const lengthSq = ab.lengthSq();
+  if (lengthSq < 1e-12) return a.clone();
+  const t = THREE.MathUtils.clamp(point.clone().sub(a).dot(ab) / lengthSq, 0, 1);
+  return a.clone().addScaledVector(ab, t);
+}
+
+// Closest points between segments p1-q1 and p2-q2 (Real-Time Collision Detection 5.1.9)
+function closestBetweenSegments(p1, q1, p2, q2) {
+  const d1 = q1.clone().sub(p1);
+  const d2 = q2.clone().sub(p2);
+  const r = p1.clone().sub(p2);
+  const a = d1.lengthSq();
+  const e = d2.lengthSq();
+  const f = d2.dot(r);
+  let s = 0;
+  let t = 0;
+  
+  if (a < 1e-12 && e < 1e-12) return [p1.clone(), p2.clone()];
+  if (a < 1e-12) {
+    t = THREE.MathUtils.clamp(f / e, 0, 1);
+  } else {
+    const c = d1.dot(r);
+    if (e < 1e-12) {
+      s = THREE.MathUtils.clamp(-c / a, 0, 1);
+    } else {
+      const b = d1.dot(d2);
+      const denom = a * e - b * b;
+      s = denom > 1e-12 ? THREE.MathUtils.clamp((b * f - c * e) / denom, 0, 1) : 0;
+      t = (b * s + f) / e;
+      if (t < 0) {
+        t = 0;
+        s = THREE.MathUtils.clamp(-c / a, 0, 1);
+      } else if (t > 1) {
+        t = 1;
+        s = THREE.MathUtils.clamp((b - c) / a, 0, 1);
+      }
+    }
+  }
+  return [p1.clone().addScaledVector(d1, s), p2.clone().addScaledVector(d2, t)];
+}
+
+function closestOnBox(box, point) {
+  const d = point.clone().sub(box.center);
+  const result = box.center.clone();
+  for (let i = 0; i < 3; i++) {
+    const distance = THREE.MathUtils.clamp(d.dot(box.axes[i]), -box.half[i], box.half[i]);
+    result.addScaledVector(box.axes[i], distance);
+  }
+  return result;
+}
+
+// Sphere (A) against an oriented box (B)
+function sphereBox(center, radius, box) {
+  const closest = closestOnBox(box, center);
+  const delta = closest.clone().sub(center);
+  const distance = delta.length();
+  
+  if (distance > 1e-9) {
+    if (distance >= radius) return null;
+    return contact(delta.divideScalar(distance), radius - distance, closest);
+  }
+  
+  // Centre inside the box: push out through the nearest face
+  const d = center.clone().sub(box.center);
+  let axis = 0;
+  let nearest = Infinity;
+  for (let i = 0; i < 3; i++) {
+    const gap = box.half[i] - Math.abs(d.dot(box.axes[i]));
+    if (gap < nearest) {
+      nearest = gap;
+      axis = i;
+    }
+  }
+  const side = d.dot(box.axes[axis]) >= 0 ? 1 : -1;
+  return contact(box.axes[axis].clone().multiplyScalar(-side), radius + nearest, center);
+}
+
+// Half-space (A) against a sphere (B)
+function sphereHalfspace(plane, center, radius) {
+  const distance = center.dot(plane.normal) - plane.offset;
+  if (distance >= radius) return null;
+  return contact(plane.normal, radius - distance, center.clone().addScaledVector(plane.normal, -distance));
+}
+
+function boxVertices(box) {
+  const vertices = [];
+  for (let i = 0; i < 8; i++) {
+    const v = box.center.clone();
+    v.addScaledVector(box.axes[0], i & 1 ? box.half[0] : -box.half[0]);
+    v.addScaledVector(box.axes[1], i & 2 ? box.half[1] : -box.half[1]);
+    v.addScaledVector(box.axes[2], i & 4 ? box.half[2] : -box.half[2]);
+    vertices.push(v);
+  }
+  return vertices;
+}
+
+// Average of the vertices furthest along direction (a face, edge or corner)
+function support(box, direction) {
+  const vertices = boxVertices(box);
+  const projections = vertices.map(v => v.dot(direction));
+  const max = Math.max(...projections);
+  const result = new THREE.Vector3();
+  let count = 0;
+  vertices.forEach((v, i) => {
+    if (projections[i] >= max - 1e-4) {
+      result.add(v);
+      count++;
+    }
+  });
+  return result.divideScalar(count);
+}
+
+function projectedRadius(box, axis) {
+  return box.half[0] * Math.abs(box.axes[0].dot(axis)) +
+    box.half[1] * Math.abs(box.axes[1].dot(axis)) +
+    box.half[2] * Math.abs(box.axes[2].dot(axis));
+}
+
+// Half-space (A) against an oriented box (B)
+function boxHalfspace(plane, box) {
+  const distance = box.center.dot(plane.normal) - plane.offset - projectedRadius(box, plane.normal);
+  if (distance >= 0) return null;
+  const deepest = support(box, plane.normal.clone().negate());
+  return contact(plane.normal, -distance, deepest.addScaledVector(plane.normal, -distance));
+}
+
+// Separating axis test over face normals, then edge cross products
+function boxes(a, b) {
+  const t = b.center.clone().sub(a.center);
+  const candidates = [];
+  for (let i = 0; i < 3; i++) candidates.push({ axis: a.axes[i], owner: 'a' });
+  for (let i = 0; i < 3; i++) candidates.push({ axis: b.axes[i], owner: 'b' });
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      const axis = a.axes[i].clone().cross(b.axes[j]);
+      if (axis.lengthSq() > 1e-9) candidates.push({ axis: axis.normalize(), owner: 'edge' });
+    }
+  }
+  
+  let best = null;
+  for (const candidate of candidates) {
+    const { axis } = candidate;
+    const distance = t.dot(axis);
+    const overlap = projectedRadius(a, axis) + projectedRadius(b, axis) - Math.abs(distance);
+    if (overlap <= 0) return null;
+    // Edge axes must clearly win so resting faces don't jitter onto edges
+    const bias = candidate.owner === 'edge' ? 1e-4 : 0;
+    if (!best || overlap + bias < best.overlap) {
+      best = { overlap, owner: candidate.owner, normal: distance >= 0 ? axis.clone() : axis.clone().negate() };
+    }
+  }
+  
+  const { normal, overlap } = best;
+  let point;
+  if (best.owner === 'a') {
+    point = support(b, normal.clone().negate()).addScaledVector(normal, overlap / 2);
+  } else if (best.owner === 'b') {
+    point = support(a, normal).addScaledVector(normal, -overlap / 2);
+  } else {
+    point = support(a, normal).add(support(b, normal.clone().negate())).multiplyScalar(0.5);
+  }
+  return contact(normal, overlap, point);
+}
@@ -0,0 +1,1044 @@
+// ========================================
+// CUBIEGAMEJS v1.0.0
+// Created by CubieCloud
+// ========================================
+
+import * as THREE from 'three';
+import { Entity } from './Entity.js';
+import { InputSystem } from './InputSystem.js';
+import { PhysicsSystem } from './PhysicsSystem.js';
+import { AudioSystem } from './AudioSystem.js';
+import { AssetSystem } from './AssetSystem.js';
+import { ParticleSystem } from './ParticleSystem.js';
+import { TweenSystem } from './TweenSystem.js';
+import { Logger } from './Logger.js';
+import { PerformanceMonitor } from './PerformanceMonitor.js';
+import { GraphicsSystem } from './GraphicsSystem.js';
+import { StorageSystem } from './StorageSystem.js';
+import { SpriteSystem } from './SpriteSystem.js';
+import { PrefabSystem } from './PrefabSystem.js';
+import { SceneSerializer } from './SceneSerializer.js';
+import { SaveSystem } from './SaveSystem.js';
+import { RandomSystem } from './RandomSystem.js';
+import { EventEmitter } from './EventEmitter.js';
+import { NullRenderer } from './NullRenderer.js';
+import { SceneManager } from './SceneManager.js';
+import { disposeObject3D } from './disposeObject.js';
+import { hasWindow, hasDocument, requestFrame, cancelFrame, listen, unlistenAll } from './platform.js';
+
+export class Cubie {
+  constructor(config = {}) {
+    // Core configuration
+    this.version = '1.0.0';
+    this.config = {
+      canvas: config.canvas,
+      width: config.width || (hasWindow ? window.innerWidth : 800),
+      height: config.height || (hasWindow ? window.innerHeight : 600),
+      mode: config.mode || '3d', // '2d', '3d' or 'headless'
+      antialias: config.antialias !== undefined ? config.antialias : true,
+      shadows: config.shadows !== undefined ? config.shadows : true,
+      powerPreference: config.powerPreference || 'high-performance',
+      pixelRatio: config.pixelRatio || (hasWindow ? window.devicePixelRatio : 1),
+      alpha: config.alpha || false,
+      preserveDrawingBuffer: config.preserveDrawingBuffer || false,
+      fixedTimeStep: config.fixedTimeStep || 1 / 60, // seconds per simulation step
+      maxSubSteps: config.maxSubSteps || 5, // cap on steps per frame after a hitch
+      interpolate: config.interpolate !== undefined ? config.interpolate : true,
+      timeScale: config.timeScale !== undefined ? config.timeScale : 1,
+      seed: config.seed, // number or string; random when omitted
+      duplicateNames: config.duplicateNames || 'allow', // 'allow', 'error' or 'suffix'
+      gamepads: config.gamepads || 4, // local player slots for gamepads
+      broadphase: config.broadphase || 'sap', // 'sap', 'hash', 'brute' or a broadphase object
+      layers: config.layers || ['default'], // collision layer names, up to 32
+      layerMatrix: config.layerMatrix || {}, // { layer: [layers it collides with] }
+      groundPlane: config.groundPlane !== undefined ? config.groundPlane : null, // y of the pre-collider floor clamp, off by default
+      storage: config.storage || 'auto', // 'auto', 'local', 'indexeddb', 'memory' or a backend object
+      storageCompression: config.storageCompression || false // true, or compress values above N characters
+    };
+    
+    // Core systems
+    // Raw Three.js objects; `scene` and `camera` below are the engine facades
+    this.three = { scene: null, camera: null, renderer: null };
+    this.renderer = null;
+    this.clock = new THREE.Clock();
+    this.time = 0;
+    this.deltaTime = 0;
+    this.unscaledTime = 0;
+    this.unscaledDeltaTime = 0;
+    this.timeScale = this.config.timeScale; // 0 freezes, 0.5 is slow motion, 2 is fast forward
+    this.frameCount = 0;
+    this.accumulator = 0;
+    this.unscaledAccumulator = 0; // real time, for fixed steps of systems with ignoreTimeScale
+    this.alpha = 0; // interpolation factor between the last two fixed steps
+    this.fixedTime = 0;
+    this.fixedStepCount = 0;
+    this.isRunning = false;
+    this.isPaused = false;
+    this.isDestroyed = false;
+    this.frameHandle = null;
+    this.listeners = [];
+    
+    // Collections (entities, lights and 2D layers live in this.scenes)
+    this.systems = new Map();
+    this.entityIds = new Map(); // id -> entity across every loaded scene
+    this.nextEntityId = 1;
+    this.scenes = new SceneManager(this);
+    this.serializer = new SceneSerializer(this);
+    
+    // Subsystems
+    this.random = new RandomSystem(this);
+    this.input = new InputSystem(this);
+    this.physics = new PhysicsSystem(this);
+    this.audio = new AudioSystem(this);
+    this.assets = new AssetSystem(this);
+    this.particles = new ParticleSystem(this);
+    this.tweens = new TweenSystem(this);
+    this.logger = new Logger(this);
+    this.performance = new PerformanceMonitor(this);
+    this.graphics = new GraphicsSystem(this);
+    this.storage = new StorageSystem(this);
+    this.saves = new SaveSystem(this);
+    this.prefab = new PrefabSystem(this);
+    
+    // 2D Support
+    this.sprite = new SpriteSystem(this);
+    this.canvas2d = null;
+    this.ctx2d = null;
+    // 2D view: (x, y) is the world point at the canvas' top-left at zoom 1;
+    // zoom scales around the canvas centre. The 'ui' layer ignores it.
+    this.camera2d = { x: 0, y: 0, zoom: 1 };
+    
+    // Event system
+    this.events = new EventEmitter();
+    
+    // Lifecycle hooks
+    this.hooks = {
+      preUpdate: [],
+      postUpdate: [],
+      preRender: [],
+      postRender: []
+    };
+    
+    this.init();
+  }
+  
+  // Entities of the scene being built or, otherwise, the active scene
+  get entities() {
+    const scene = this.scenes.target;
+    return scene ? scene.entities : new Map();
+  }
+  
+  get layers() {
+    const scene = this.scenes.target;
+    return scene ? scene.layers : new Map();
+  }
+  
+  // The element the game draws into (null when headless)
+  get canvas() {
+    if (this.config.mode === '2d') return this.canvas2d;
+    return this.config.mode === '3d' ? this.renderer.domElement : null;
+  }
+  
+  // ============ INITIALIZATION ============
+  init() {
+    this.logger.info('Initializing CubieGameJS v' + this.version);
+    this.logger.info(`Random seed: ${this.random.seed}`);
+    
+    if (this.config.mode === '3d') {
+      this.init3D();
+    } else if (this.config.mode === 'headless') {
+      this.initHeadless();
+    } else {
+      this.init2D();
+    }
+    
+    // Every engine starts with one scene so single-room games need no setup
+    this.scenes.add('main');
+    this.scenes.switchTo('main');
+    
+    this.setupEventListeners();
+    this.performance.start();
+    this.logger.success('Engine initialized successfully');
+  }
+  
+  init3D() {
+    // Camera
+    this.three.camera = new THREE.PerspectiveCamera(
+      75,
+      this.config.width / this.config.height,
+      0.1,
+      1000
+    );
+    this.three.camera.position.set(0, 5, 10);
+    
+    // Renderer
+    this.renderer = new THREE.WebGLRenderer({
+      canvas: this.config.canvas,
+      antialias: this.config.antialias,
+      powerPreference: this.config.powerPreference,
+      alpha: this.config.alpha,
+      preserveDrawingBuffer: this.config.preserveDrawingBuffer
+    });
+    this.renderer.setSize(this.config.width, this.config.height);
+    this.renderer.setPixelRatio(this.config.pixelRatio);
+    this.renderer.shadowMap.enabled = this.config.shadows;
+    this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    this.three.renderer = this.renderer;
+  }
+  
+  initHeadless() {
+    // Same scene graph as 3D so entities, physics and world transforms behave
+    // identically, but nothing is drawn and no WebGL context is requested.
+    this.three.camera = new THREE.PerspectiveCamera(
+      75,
+      this.config.width / this.config.height,
+      0.1,
+      1000
+    );
+    this.three.camera.position.set(0, 5, 10);
+    
+    this.renderer = new NullRenderer();
+    this.three.renderer = this.renderer;
+    this.renderer.setSize(this.config.width, this.config.height);
+    
+    this.logger.info('Running headless (no renderer, no DOM listeners)');
+  }
+  
+  init2D() {
+    // 2D Canvas context
+    this.canvas2d = this.config.canvas;
+    this.ctx2d = this.canvas2d.getContext('2d', {
+      alpha: this.config.alpha,
+      desynchronized: true
+    });
+    this.canvas2d.width = this.config.width;
+    this.canvas2d.height = this.config.height;
+  }
+  
+  setupEventListeners() {
+    if (this.config.mode === 'headless' || !hasWindow || !hasDocument) return;
+    
+    listen(this.listeners, window, 'resize', () => this.resize());
+    this.input.attach(this.canvas);
+    listen(this.listeners, document, 'visibilitychange', () => {
+      if (document.hidden) {
+        this.pause();
+      } else {
+        this.resume();
+      }
+    });
+  }
+  
+  // ============ LIFECYCLE ============
+  start() {
+    if (this.isRunning || this.isDestroyed) return;
+    this.isRunning = true;
+    this.isPaused = false;
+    this.logger.info('Game loop started');
+    this.loop();
+    this.events.emit('start');
+  }
+  
+  stop() {
+    this.isRunning = false;
+    if (this.frameHandle !== null) {
+      cancelFrame(this.frameHandle);
+      this.frameHandle = null;
+    }
+    this.logger.info('Game loop stopped');
+    this.events.emit('stop');
+  }
+  
+  pause() {
+    this.isPaused = true;
+    this.logger.info('Game paused');
+    this.events.emit('pause');
+  }
+  
+  resume() {
+    this.isPaused = false;
+    this.clock.getDelta(); // discard the time spent paused
+    this.logger.info('Game resumed');
+    this.events.emit('resume');
+  }
+  
+  // Release everything the engine owns; the instance cannot be restarted
+  destroy() {
+    if (this.isDestroyed) return;
+    
+    this.stop();
+    this.events.emit('destroy');
+    
+    // DOM listeners
+    unlistenAll(this.listeners);
+    this.input.destroy();
+    
+    if (this.storage.backend.close) this.storage.backend.close();
+    
+    // Audio, particles and tweens
+    this.audio.destroy();
+    this.particles.destroy();
+    this.tweens.tweens = [];
+    
+    // Custom systems
+    this.systems.forEach(system => {
+      if (system.destroy) system.destroy();
+    });
+    this.systems.clear();
+    
+    // Scenes own entities, scene systems, lights and their Three.js scenes
+    const disposed = this.scenes.destroy();
+    this.three.scene = null;
+    this.physics.bodies = [];
+    
+    // GPU resources
+    if (this.config.mode !== '2d') {
+      this.disposeRenderer();
+    } else {
+      this.ctx2d.clearRect(0, 0, this.canvas2d.width, this.canvas2d.height);
+    }
+    
+    Object.keys(this.hooks).forEach(hook => { this.hooks[hook] = []; });
+    
+    this.isDestroyed = true;
+    this.logger.info(`Engine destroyed (${disposed} scene GPU resources disposed)`);
+    this.logger.callbacks = [];
+    this.events.clear();
+  }
+  
+  disposeRenderer() {
+    this.assets.textures.forEach(texture => texture.dispose());
+    this.assets.textures.clear();
+    
+    this.renderer.dispose();
+    if (this.renderer.forceContextLoss) this.renderer.forceContextLoss();
+  }
+  
+  loop() {
+    if (!this.isRunning) return;
+    
+    this.frameHandle = requestFrame(() => this.loop());
+    
+    if (this.isPaused) return;
+    
+    this.tick(this.clock.getDelta());
+  }
+  
+  // Advance the engine by hand, e.g. frame-by-frame while paused or in tests
+  step(frames = 1, dt = this.config.fixedTimeStep) {
+    for (let i = 0; i < frames; i++) {
+      this.tick(dt);
+    }
+    this.events.emit('step', { frames, dt });
+  }
+  
+  setTimeScale(scale) {
+    this.timeScale = Math.max(0, scale);
+    this.logger.info(`Time scale set to ${this.timeScale}`);
+    this.events.emit('timescale', this.timeScale);
+  }
+  
+  tick(frameDelta) {
+    // Input replays run on the recorded frame times so the simulation matches
+    if (this.input.replaying) frameDelta = this.input.replayDelta(frameDelta);
+    
+    // Calculate delta time
+    this.unscaledDeltaTime = frameDelta;
+    this.unscaledTime += frameDelta;
+    this.deltaTime = frameDelta * this.timeScale;
+    this.time += this.deltaTime;
+    this.frameCount++;
+    
+    // Pre-update hooks
+    this.hooks.preUpdate.forEach(fn => fn(this.deltaTime));
+    
+    // Poll input once per frame
+    this.input.update(this.deltaTime);
+    
+    // Fixed-rate simulation, catching up on any accumulated time. Scaled and
+    // real time are stepped separately so ignoreTimeScale systems keep their
+    // own rate whatever the time scale
+    const step = this.config.fixedTimeStep;
+    this.accumulator += this.deltaTime;
+    this.unscaledAccumulator += this.unscaledDeltaTime;
+    const scaledSteps = this.takeFixedSteps('accumulator');
+    const unscaledSteps = this.takeFixedSteps('unscaledAccumulator');
+    for (let i = 0; i < Math.max(scaledSteps, unscaledSteps); i++) {
+      this.fixedUpdate(step, i < scaledSteps, i < unscaledSteps);
+    }
+    this.alpha = (this.physics.ignoreTimeScale ? this.unscaledAccumulator : this.accumulator) / step;
+    
+    // Variable-rate update
+    this.update(this.deltaTime, this.unscaledDeltaTime);
+    
+    // Post-update hooks
+    this.hooks.postUpdate.forEach(fn => fn(this.deltaTime));
+    
+    // Pre-render hooks
+    this.hooks.preRender.forEach(fn => fn(this.alpha));
+    
+    // Render
+    this.render();
+    
+    // Post-render hooks
+    this.hooks.postRender.forEach(fn => fn());
+    
+    // Pressed/released states only live for the frame they happened in
+    this.input.endFrame();
+    
+    // Performance monitoring
+    this.performance.update();
+  }
+  
+  // Whole steps owed by an accumulator (capped at maxSubSteps), taken out of it
+  takeFixedSteps(accumulator) {
+    const step = this.config.fixedTimeStep;
+    let steps = 0;
+    while (this[accumulator] >= step && steps < this.config.maxSubSteps) {
+      this[accumulator] -= step;
+      steps++;
+    }
+    
+    // Drop time we could not simulate instead of spiralling after a hitch
+    if (this[accumulator] >= step) {
+      this.logger.debug(`Dropped ${(this[accumulator] - this[accumulator] % step).toFixed(3)}s of simulation`);
+      this[accumulator] %= step;
+    }
+    return steps;
+  }
+  
+  // scaled: a step of game time; unscaled: a step of real time, which drives
+  // systems (physics included) that set ignoreTimeScale
+  fixedUpdate(dt, scaled = true, unscaled = true) {
+    const runs = (system) => system.ignoreTimeScale ? unscaled : scaled;
+    
+    // Update physics
+    if (runs(this.physics)) this.physics.update(dt);
+    
+    // Fixed-rate custom systems
+    this.systems.forEach(system => {
+      if (system.enabled && system.fixedUpdate && runs(system)) {
+        this.runSystem(this.scenes.current, () => system.fixedUpdate(dt, this.bindQuery(system)));
+      }
+    });
+    
+    // Fixed-rate scene systems and entity scripts
+    this.scenes.updating().forEach(scene => {
+      scene.systems.forEach(system => {
+        if (system.enabled && system.fixedUpdate && runs(system)) {
+          this.runSystem(scene, () => system.fixedUpdate(dt, system.entities));
+        }
+      });
+      
+      if (!scaled) return;
+      scene.entities.forEach(entity => {
+        if (entity.fixedUpdate && entity.isEnabled()) {
+          entity.fixedUpdate(dt);
+        }
+      });
+    });
+    
+    if (!scaled) return;
+    this.fixedTime += dt;
+    this.fixedStepCount++;
+  }
+  
+  // Entities leaving a query while a system runs stay in its list until the
+  // system returns (their entity.scene is null once destroyed)
+  runSystem(scene, fn) {
+    if (!scene) return fn();
+    return scene.queries.defer(fn);
+  }
+  
+  // Engine-wide systems that declare `components` see the active scene's matches
+  bindQuery(system) {
+    if (!system.components || !this.scenes.current) return undefined;
+    system.entities = this.scenes.current.query(system.components);
+    return system.entities;
+  }
+  
+  update(dt, unscaledDt = dt) {
+    // Systems with ignoreTimeScale keep running at real speed (UI, menus)
+    const deltaFor = (system) => system.ignoreTimeScale ? unscaledDt : dt;
+    
+    // Update particles
+    this.particles.update(deltaFor(this.particles));
+    
+    // Update tweens
+    this.tweens.update(deltaFor(this.tweens));
+    
+    // Update custom systems
+    this.systems.forEach(system => {
+      if (system.enabled && system.update) {
+        this.runSystem(this.scenes.current, () => system.update(deltaFor(system), this.bindQuery(system)));
+      }
+    });
+    
+    // Update scenes: hooks, scene systems and entities
+    this.scenes.updating().forEach(scene => {
+      scene.hooks.preUpdate.forEach(fn => fn(dt));
+      
+      scene.systems.forEach(system => {
+        if (system.enabled && system.update) {
+          this.runSystem(scene, () => system.update(deltaFor(system), system.entities));
+        }
+      });
+      
+      scene.entities.forEach(entity => {
+        if (entity.update && entity.isEnabled()) {
+          entity.update(dt);
+        }
+      });
+      
+      scene.hooks.postUpdate.forEach(fn => fn(dt));
+    });
+    
+    // Scene transitions
+    this.scenes.update(unscaledDt);
+  }
+  
+  render() {
+    const scene = this.scenes.current;
+    if (scene) scene.hooks.preRender.forEach(fn => fn(this.alpha));
+    
+    // Draw physics bodies between their last two fixed steps
+    const interpolate = this.config.interpolate;
+    if (interpolate) this.physics.interpolate(this.alpha);
+    
+    if (this.config.mode !== '2d') {
+      this.render3D();
+    } else {
+      this.render2D();
+    }
+    
+    if (interpolate) this.physics.restore();
+    
+    this.scenes.renderTransition();
+    this.input.virtual.render();
+    if (scene) scene.hooks.postRender.forEach(fn => fn());
+  }
+  
+  render3D() {
+    if (!this.three.scene) return;
+    this.renderer.render(this.three.scene, this.three.camera);
+  }
+  
+  render2D() {
+    const ctx = this.ctx2d;
+    
+    // Clear canvas
+    ctx.clearRect(0, 0, this.canvas2d.width, this.canvas2d.height);
+    
+    // Render layers in order
+    ['background', 'main', 'foreground', 'ui'].forEach(layerName => {
+      const layer = this.layers.get(layerName);
+      if (layer) {
+        ctx.save();
+        if (layerName !== 'ui') this.applyCamera2D(ctx);
+        layer.forEach(renderable => {
+          // Children are drawn by their parent
+          if (renderable.visible && renderable.render && !renderable.parent) {
+            renderable.render(ctx);
+          }
+        });
+        ctx.restore();
+      }
+    });
+  }
+  
+  applyCamera2D(ctx) {
+    const { x, y, zoom } = this.camera2d;
+    const centerX = this.config.width / 2;
+    const centerY = this.config.height / 2;
+    ctx.translate(centerX, centerY);
+    ctx.scale(zoom, zoom);
+    ctx.translate(-x - centerX, -y - centerY);
+  }
+  
+  resize(width, height) {
+    this.config.width = width || (hasWindow ? window.innerWidth : this.config.width);
+    this.config.height = height || (hasWindow ? window.innerHeight : this.config.height);
+    
+    if (this.config.mode !== '2d') {
+      this.three.camera.aspect = this.config.width / this.config.height;
+      this.three.camera.updateProjectionMatrix();
+      this.renderer.setSize(this.config.width, this.config.height);
+    } else {
+      this.canvas2d.width = this.config.width;
+      this.canvas2d.height = this.config.height;
+    }
+    
+    this.events.emit('resize', { width: this.config.width, height: this.config.height });
+  }
+  
+  // ============ ENTITY MANAGEMENT ============
+  entity = {
+    // Names are display labels and may repeat; entity.id is always unique
+    create: (name, config = {}) => {
+      const scene = this.scenes.target;
+      const id = this.entity.claimId(config.id);
+      name = this.entity.resolveName(scene, name || `entity_${id}`, config.duplicateNames);
+      
+      const entity = new Entity(name, config, this);
+      entity.id = id;
+      entity.scene = scene;
+      scene.entities.set(id, entity);
+      scene.indexName(entity);
+      this.entityIds.set(id, entity);
+      scene.queries.add(entity);
+      
+      if (this.config.mode !== '2d') {
+        if (entity.mesh) scene.object3d.add(entity.mesh);
+      } else {
+        const layer = config.layer || 'main';
+        if (!scene.layers.has(layer)) {
+          scene.layers.set(layer, []);
+        }
+        scene.layers.get(layer).push(entity);
+      }
+      
+      if (config.parent) config.parent.addChild(entity);
+      
+      this.logger.debug(`Entity created: ${name} (#${id})`);
+      this.events.emit('entity:create', entity);
+      return entity;
+    },
+    
+    // A requested id (scene loading keeps saved ids) is used when free, and the
+    // counter moves past it so later entities never reuse it
+    claimId: (requested) => {
+      if (requested === undefined || requested === null) return this.nextEntityId++;
+      if (this.entityIds.has(requested)) {
+        const id = this.nextEntityId++;
+        this.logger.warn(`Entity id ${requested} is already in use, assigned #${id} instead`);
+        return id;
+      }
+      this.nextEntityId = Math.max(this.nextEntityId, requested + 1);
+      return requested;
+    },
+    
+    resolveName: (scene, name, policy = this.config.duplicateNames) => {
+      if (!scene.names.has(name) || policy === 'allow') return name;
+      
+      if (policy === 'error') {
+        throw new Error(`Entity name already in use in scene "${scene.name}": ${name}`);
+      }
+      
+      let suffix = 1;
+      while (scene.names.has(`${name}_${suffix}`)) suffix++;
+      return `${name}_${suffix}`;
+    },
+    
+    // First entity with this name in the current scene
+    get: (name) => {
+      const matches = this.scenes.target.names.get(name);
+      return matches ? matches[0] : undefined;
+    },
+    
+    getAll: (name) => {
+      const matches = this.scenes.target.names.get(name);
+      return matches ? [...matches] : [];
+    },
+    
+    getById: (id) => this.entityIds.get(id),
+    
+    // Accepts an entity, its id, or a name (first match in the current scene).
+    // The mesh's geometries, materials and textures are freed unless
+    // options.dispose is false (e.g. to re-add the mesh elsewhere).
+    // Returns how many GPU resources were disposed.
+    remove: (target, options = {}) => {
+      let entity = target;
+      if (typeof target === 'number') entity = this.entity.getById(target);
+      if (typeof target === 'string') entity = this.entity.get(target);
+      if (!entity || !entity.scene) return 0;
+      const scene = entity.scene;
+      
+      // Children go with their parent
+      let disposed = 0;
+      [...entity.children].forEach(child => { disposed += this.entity.remove(child, options); });
+      if (entity.parent) entity.parent.removeChild(entity, { keepWorld: false });
+      
+      if (this.config.mode !== '2d') {
+        if (entity.mesh && entity.mesh.parent) entity.mesh.parent.remove(entity.mesh);
+      } else {
+        scene.layers.forEach(layer => {
+          const index = layer.indexOf(entity);
+          if (index > -1) layer.splice(index, 1);
+        });
+      }
+      
+      scene.entities.delete(entity.id);
+      scene.unindexName(entity);
+      this.entityIds.delete(entity.id);
+      scene.queries.remove(entity);
+      entity.scene = null;
+      // After entity.scene is cleared, so the Exit events it triggers skip this entity
+      this.physics.removeBody(entity);
+      this.logger.debug(`Entity removed: ${entity.name} (#${entity.id})`);
+      this.events.emit('entity:remove', entity);
+      
+      if (entity.mesh && options.dispose !== false) disposed += disposeObject3D(entity.mesh);
+      return disposed;
+    },
+    
+    // Cached, incrementally updated list of entities having every component
+    query: (components) => this.scenes.target.query(components),
+    
+    find: (predicate) => {
+      const results = [];
+      this.entities.forEach(entity => {
+        if (predicate(entity)) results.push(entity);
+      });
+      return results;
+    },
+    
+    findByTag: (tag) => {
+      return this.entity.find(e => e.hasTag(tag));
+    }
+  };
+  
+  // ============ PRIMITIVES (3D) ============
+  primitive = {
+    box: (name, options = {}) => {
+      const geometry = new THREE.BoxGeometry(
+        options.width || 1,
+        options.height || 1,
+        options.depth || 1
+      );
+      const material = new THREE.MeshStandardMaterial({
+        color: options.color || 0x00ff00,
+        roughness: options.roughness || 0.5,
+        metalness: options.metalness || 0.5,
+        transparent: options.transparent || false,
+        opacity: options.opacity || 1
+      });
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.castShadow = options.castShadow !== false;
+      mesh.receiveShadow = options.receiveShadow !== false;
+      
+      const entity = this.entity.create(name, { mesh, ...options });
+      if (options.position) entity.position.set(options.position);
+      if (options.physics) this.physics.addBody(entity, options.physics);
+      return entity;
+    },
+    
+    sphere: (name, options = {}) => {
+      const geometry = new THREE.SphereGeometry(
+        options.radius || 1,
+        options.segments || 32,
+        options.segments || 32
+      );
+      const material = new THREE.MeshStandardMaterial({
+        color: options.color || 0xff0000,
+        roughness: options.roughness || 0.5,
+        metalness: options.metalness || 0.5
+      });
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.castShadow = options.castShadow !== false;
+      mesh.receiveShadow = options.receiveShadow !== false;
+      
+      const entity = this.entity.create(name, { mesh, ...options });
+      if (options.position) entity.position.set(options.position);
+      if (options.physics) this.physics.addBody(entity, options.physics);
+      return entity;
+    },
+    
+    plane: (name, options = {}) => {
+      const geometry = new THREE.PlaneGeometry(
+        options.width || 10,
+        options.height || 10
+      );
+      const material = new THREE.MeshStandardMaterial({
+        color: options.color || 0x808080,
+        roughness: options.roughness || 0.8,
+        metalness: options.metalness || 0.2
+      });
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.rotation.x = -Math.PI / 2;
+      mesh.receiveShadow = options.receiveShadow !== false;
+      
+      const entity = this.entity.create(name, { mesh, ...options });
+      if (options.position) entity.position.set(options.position);
+      if (options.physics) this.physics.addBody(entity, options.physics);
+      return entity;
+    },
+    
+    cylinder: (name, options = {}) => {
+      const geometry = new THREE.CylinderGeometry(
+        options.radiusTop || 1,
+        options.radiusBottom || 1,
+        options.height || 2,
+        options.segments || 32
+      );
+      const material = new THREE.MeshStandardMaterial({
+        color: options.color || 0x0000ff,
+        roughness: options.roughness || 0.5,
+        metalness: options.metalness || 0.5
+      });
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.castShadow = options.castShadow !== false;
+      mesh.receiveShadow = options.receiveShadow !== false;
+      
+      const entity = this.entity.create(name, { mesh, ...options });
+      if (options.position) entity.position.set(options.position);
+      if (options.physics) this.physics.addBody(entity, options.physics);
+      return entity;
+    }
+  };
+  
+  // ============ LIGHTING ============
+  light = {
+    add: (type, options = {}) => {
+      let light;
+      switch(type) {
+        case 'directional':
+          light = new THREE.DirectionalLight(options.color || 0xffffff, options.intensity || 1);
+          if (options.castShadow) {
+            light.castShadow = true;
+            light.shadow.mapSize.width = options.shadowMapSize || 2048;
+            light.shadow.mapSize.height = options.shadowMapSize || 2048;
+            if (options.shadowCameraSize) {
+              light.shadow.camera.left = -options.shadowCameraSize;
+              light.shadow.camera.right = options.shadowCameraSize;
+              light.shadow.camera.top = options.shadowCameraSize;
+              light.shadow.camera.bottom = -options.shadowCameraSize;
+            }
+          }
+          break;
+        case 'point':
+          light = new THREE.PointLight(options.color || 0xffffff, options.intensity || 1, options.distance || 0);
+          light.castShadow = options.castShadow || false;
+          break;
+        case 'spot':
+          light = new THREE.SpotLight(options.color || 0xffffff, options.intensity || 1);
+          light.angle = options.angle || Math.PI / 6;
+          light.castShadow = options.castShadow || false;
+          break;
+        case 'ambient':
+          light = new THREE.AmbientLight(options.color || 0xffffff, options.intensity || 0.5);
+          break;
+        default:
+          light = new THREE.AmbientLight(0xffffff, 0.5);
+      }
+      
+      if (options.position) {
+        light.position.set(options.position.x || 0, options.position.y || 0, options.position.z || 0);
+      }
+      
+      const scene = this.scenes.target;
+      if (scene.object3d) scene.object3d.add(light);
+      scene.lights.push(light);
+      this.logger.debug(`Light added: ${type}`);
+      return light;
+    }
+  };
+  
+  // ============ CAMERA CONTROLS ============
+  // Engine-level camera helpers. The raw THREE.PerspectiveCamera is cubie.three.camera.
+  camera = {
+    setPosition: (x, y, z) => {
+      if (this.config.mode !== '2d') {
+        this.three.camera.position.set(x, y, z);
+      } else {
+        this.camera2d.x = x;
+        this.camera2d.y = y;
+      }
+    },
+    
+    getPosition: () => {
+      if (this.config.mode === '2d') return { x: this.camera2d.x, y: this.camera2d.y };
+      const { x, y, z } = this.three.camera.position;
+      return { x, y, z };
+    },
+    
+    setZoom: (zoom) => {
+      if (this.config.mode !== '2d') {
+        this.three.camera.zoom = zoom;
+        this.three.camera.updateProjectionMatrix();
+      } else {
+        this.camera2d.zoom = zoom;
+      }
+    },
+    
+    // Canvas pixels -> world. 2D: { x, y }. 3D: where the camera ray meets
+    // the horizontal plane at planeY, or null when it points away from it
+    screenToWorld: (x, y, planeY = 0) => {
+      if (this.config.mode === '2d') {
+        const { zoom } = this.camera2d;
+        const centerX = this.config.width / 2;
+        const centerY = this.config.height / 2;
+        return {
+          x: this.camera2d.x + centerX + (x - centerX) / zoom,
+          y: this.camera2d.y + centerY + (y - centerY) / zoom
+        };
+      }
+      const ray = this.camera.screenToRay(x, y);
+      const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -planeY);
+      const point = ray.intersectPlane(plane, new THREE.Vector3());
+      return point ? { x: point.x, y: point.y, z: point.z } : null;
+    },
+    
+    // THREE.Ray from the 3D camera through a canvas pixel (null in 2D)
+    screenToRay: (x, y) => {
+      if (this.config.mode === '2d') return null;
+      const ndc = new THREE.Vector2((x / this.config.width) * 2 - 1, -(y / this.config.height) * 2 + 1);
+      this.three.camera.updateMatrixWorld();
+      const raycaster = new THREE.Raycaster();
+      raycaster.setFromCamera(ndc, this.three.camera);
+      return raycaster.ray;
+    },
+    
+    // World position -> canvas pixels
+    worldToScreen: (position) => {
+      if (this.config.mode === '2d') {
+        const { zoom } = this.camera2d;
+        const centerX = this.config.width / 2;
+        const centerY = this.config.height / 2;
+        return {
+          x: centerX + (position.x - this.camera2d.x - centerX) * zoom,
+          y: centerY + (position.y - this.camera2d.y - centerY) * zoom
+        };
+      }
+      this.three.camera.updateMatrixWorld();
+      const ndc = new THREE.Vector3(position.x, position.y, position.z).project(this.three.camera);
+      return {
+        x: (ndc.x + 1) / 2 * this.config.width,
+        y: (1 - ndc.y) / 2 * this.config.height
+      };
+    },
+    
+    lookAt: (x, y, z) => {
+      if (this.config.mode !== '2d') {
+        this.three.camera.lookAt(x, y, z);
+      }
+    },
+    
+    setFov: (fov) => {
+      if (this.config.mode !== '2d') {
+        this.three.camera.fov = fov;
+        this.three.camera.updateProjectionMatrix();
+      }
+    },
+    
+    follow: (entity, offset = { x: 0, y: 5, z: 10 }) => {
+      const followSystem = {
+        enabled: true,
+        update: (dt) => {
+          const pos = entity.position.get();
+          this.three.camera.position.x = pos.x + offset.x;
+          this.three.camera.position.y = pos.y + offset.y;
+          this.three.camera.position.z = pos.z + offset.z;
+          this.three.camera.lookAt(pos.x, pos.y, pos.z);
+        }
+      };
+      this.systems.set('camera-follow', followSystem);
+    },
+    
+    unfollow: () => {
+      this.systems.delete('camera-follow');
+    }
+  };
+  
+  // ============ SCENE CONTROLS ============
+  // Engine-level scene helpers for the scene being built or shown.
+  // The raw THREE.Scene is cubie.three.scene.
+  scene = {
+    setBackground: (color) => {
+      this.scenes.target.background = color;
+      if (this.config.mode !== '2d') {
+        this.scenes.target.object3d.background = new THREE.Color(color);
+      } else {
+        this.canvas2d.style.background = `#${color.toString(16).padStart(6, '0')}`;
+      }
+    },
+    
+    setSkybox: (urls) => {
+      this.scenes.target.skybox = urls;
+      if (this.config.mode === '3d') {
+        const loader = new THREE.CubeTextureLoader();
+        this.scenes.target.object3d.background = loader.load(urls);
+      }
+    },
+    
+    setFog: (color, near, far) => {
+      if (this.config.mode !== '2d') {
+        this.scenes.target.object3d.fog = new THREE.Fog(color, near, far);
+      }
+    },
+    
+    clearFog: () => {
+      if (this.config.mode !== '2d') {
+        this.scenes.target.object3d.fog = null;
+      }
+    },
+    
+    // Add/remove plain Three.js objects that are not entities
+    add: (object) => {
+      if (this.config.mode !== '2d') this.scenes.target.object3d.add(object);
+      return object;
+    },
+    
+    remove: (object) => {
+      if (this.config.mode !== '2d') this.scenes.target.object3d.remove(object);
+    },
+    
+    // Plain JSON-ready description of the scene (see SceneSerializer)
+    serialize: () => this.serializer.serialize(this.scenes.target),
+    
+    // Rebuilds the scene from serialize() output (object or JSON string)
+    load: (data) => this.serializer.load(data, this.scenes.target)
+  };
+  
+  // ============ SYSTEM MANAGEMENT ============
+  system = {
+    add: (name, system) => {
+      system.enabled = system.enabled !== undefined ? system.enabled : true;
+      this.systems.set(name, system);
+      this.bindQuery(system);
+      this.logger.debug(`System added: ${name}`);
+      if (system.init) system.init(this);
+    },
+    
+    get: (name) => this.systems.get(name),
+    
+    remove: (name) => {
+      const system = this.systems.get(name);
+      if (system && system.destroy) system.destroy();
+      this.systems.delete(name);
+      this.logger.debug(`System removed: ${name}`);
+    },
+    
+    enable: (name) => {
+      const system = this.systems.get(name);
+      if (system) system.enabled = true;
+    },
+    
+    disable: (name) => {
+      const system = this.systems.get(name);
+      if (system) system.enabled = false;
+    }
+  };
+  
+  // ============ HOOKS ============
+  hook = {
+    preUpdate: (fn) => this.hooks.preUpdate.push(fn),
+    postUpdate: (fn) => this.hooks.postUpdate.push(fn),
+    preRender: (fn) => this.hooks.preRender.push(fn),
+    postRender: (fn) => this.hooks.postRender.push(fn)
+  };
+  
+  // ============ UTILITIES ============
+  utils = {
+    lerp: (a, b, t) => a + (b - a) * t,
+    clamp: (value, min, max) => Math.max(min, Math.min(max, value)),
+    map: (value, inMin, inMax, outMin, outMax) => {
+      return (value - inMin) * (outMax - outMin) / (inMax - inMin) + outMin;
+    },
+    random: (min, max) => this.random.range(min, max),
+    randomInt: (min, max) => this.random.int(min, max),
+    degToRad: (deg) => deg * Math.PI / 180,
+    radToDeg: (rad) => rad * 180 / Math.PI,
+    distance: (x1, y1, x2, y2) => Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2),
+    distance3D: (x1, y1, z1, x2, y2, z2) => Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2 + (z2 - z1) ** 2)
+  };
+}
@@ -0,0 +1,369 @@
+import * as THREE from 'three';
+import { EventEmitter } from './EventEmitter.js';
+
+// ============ ENTITY CLASS ============
+export class Entity {
+  constructor(name, config, engine) {
+    this.id = null; // assigned by cubie.entity.create
+    this.prefab = null; // name of the prefab it was spawned from, if any
+    this.name = name;
+    this.engine = engine;
+    this.mesh = config.mesh || null;
+    this.enabled = config.enabled !== undefined ? config.enabled : true;
+    this.visible = config.visible !== undefined ? config.visible : true;
+    this.components = new Map();
+    this.scripts = [];
+    this.tags = new Set();
+    this.events = new EventEmitter(); // per-entity events, e.g. 'collisionEnter'
+    
+    // Hierarchy
+    this.parent = null;
+    this.children = [];
+    
+    // 2D properties
+    this.x = config.x || 0;
+    this.y = config.y || 0;
+    this.width = config.width || 0;
+    this.height = config.height || 0;
+    this.rotation = config.rotation || 0;
+    this.scaleX = config.scaleX || 1;
+    this.scaleY = config.scaleY || 1;
+    this.alpha = config.alpha || 1;
+    
+    // Image/sprite
+    this.image = config.image || null;
+    this.imageName = config.imageName || null; // asset name, kept so the sprite can be serialized
+  }
+  
+  // Position API (get/set are local to the parent; getWorld/setWorld are absolute)
+  position = {
+    set: (pos) => {
+      if (this.mesh) {
+        this.mesh.position.set(pos.x || 0, pos.y || 0, pos.z || 0);
+      } else {
+        this.x = pos.x || 0;
+        this.y = pos.y || 0;
+      }
+    },
+    get: () => {
+      if (this.mesh) {
+        return { x: this.mesh.position.x, y: this.mesh.position.y, z: this.mesh.position.z };
+      }
+      return { x: this.x, y: this.y };
+    },
+    getWorld: () => {
+      if (this.mesh) {
+        this.mesh.updateWorldMatrix(true, false);
+        const v = this.mesh.getWorldPosition(new THREE.Vector3());
+        return { x: v.x, y: v.y, z: v.z };
+      }
+      const world = this.getWorldTransform2D();
+      return { x: world.x, y: world.y };
+    },
+    setWorld: (pos) => {
+      if (this.mesh) {
+        const v = new THREE.Vector3(pos.x || 0, pos.y || 0, pos.z || 0);
+        if (this.mesh.parent) {
+          this.mesh.parent.updateWorldMatrix(true, false);
+          this.mesh.parent.worldToLocal(v);
+        }
+        this.mesh.position.copy(v);
+      } else if (this.parent) {
+        const local = this.parent.worldToLocal2D(pos.x || 0, pos.y || 0);
+        this.x = local.x;
+        this.y = local.y;
+      } else {
+        this.position.set(pos);
+      }
+    }
+  };
+  
+  // Rotation API
+  rotate = {
+    set: (rot) => {
+      if (this.mesh) {
+        this.mesh.rotation.set(rot.x || 0, rot.y || 0, rot.z || 0);
+      } else {
+        this.rotation = rot;
+      }
+    },
+    get: () => {
+      if (this.mesh) {
+        return { x: this.mesh.rotation.x, y: this.mesh.rotation.y, z: this.mesh.rotation.z };
+      }
+      return this.rotation;
+    },
+    getWorld: () => {
+      if (this.mesh) {
+        this.mesh.updateWorldMatrix(true, false);
+        const e = new THREE.Euler().setFromQuaternion(this.mesh.getWorldQuaternion(new THREE.Quaternion()));
+        return { x: e.x, y: e.y, z: e.z };
+      }
+      return this.getWorldTransform2D().rotation;
+    },
+    setWorld: (rot) => {
+      if (this.mesh) {
+        const q = new THREE.Quaternion().setFromEuler(new THREE.Euler(rot.x || 0, rot.y || 0, rot.z || 0));
+        if (this.mesh.parent) {
+          this.mesh.parent.updateWorldMatrix(true, false);
+          q.premultiply(this.mesh.parent.getWorldQuaternion(new THREE.Quaternion()).invert());
+        }
+        this.mesh.quaternion.copy(q);
+      } else {
+        this.rotation = this.parent ? rot - this.parent.getWorldTransform2D().rotation : rot;
+      }
+    }
+  };
+  
+  // Scale API
+  scale = {
+    set: (scale) => {
+      if (this.mesh) {
+        const s = typeof scale === 'number' ? { x: scale, y: scale, z: scale } : scale;
+        this.mesh.scale.set(s.x || 1, s.y || 1, s.z || 1);
+      } else {
+        this.scaleX = scale.x || scale;
+        this.scaleY = scale.y || scale;
+      }
+    },
+    get: () => {
+      if (this.mesh) {
+        return { x: this.mesh.scale.x, y: this.mesh.scale.y, z: this.mesh.scale.z };
+      }
+      return { x: this.scaleX, y: this.scaleY };
+    },
+    getWorld: () => {
+      if (this.mesh) {
+        this.mesh.updateWorldMatrix(true, false);
+        const v = this.mesh.getWorldScale(new THREE.Vector3());
+        return { x: v.x, y: v.y, z: v.z };
+      }
+      const world = this.getWorldTransform2D();
+      return { x: world.scaleX, y: world.scaleY };
+    }
+  };
+  
+  // ============ HIERARCHY ============
+  // keepWorld: keep the child where it is on screen instead of reusing its
+  // current values as an offset from the new parent.
+  addChild(child, options = {}) {
+    if (child === this || child.isAncestorOf(this)) {
+      this.engine.logger.warn(`Cannot parent ${child.name} to ${this.name}: would create a cycle`);
+      return child;
+    }
+    if (child.parent) child.parent.removeChild(child, options);
+    
+    const keepWorld = options.keepWorld || false;
+    this.ensureObject3D();
+    child.ensureObject3D();
+    
+    if (this.mesh && child.mesh) {
+      keepWorld ? this.mesh.attach(child.mesh) : this.mesh.add(child.mesh);
+    } else if (keepWorld) {
+      const world = child.getWorldTransform2D();
+      const local = this.worldToLocal2D(world.x, world.y);
+      const parentWorld = this.getWorldTransform2D();
+      child.x = local.x;
+      child.y = local.y;
+      child.rotation = world.rotation - parentWorld.rotation;
+      child.scaleX = world.scaleX / parentWorld.scaleX;
+      child.scaleY = world.scaleY / parentWorld.scaleY;
+    }
+    
+    child.parent = this;
+    this.children.push(child);
+    return child;
+  }
+  
+  removeChild(child, options = {}) {
+    const index = this.children.indexOf(child);
+    if (index === -1) return child;
+    
+    const keepWorld = options.keepWorld !== undefined ? options.keepWorld : true;
+    const root = child.scene && child.scene.object3d;
+    
+    if (child.mesh && root) {
+      keepWorld ? root.attach(child.mesh) : root.add(child.mesh);
+    } else if (keepWorld) {
+      const world = child.getWorldTransform2D();
+      child.x = world.x;
+      child.y = world.y;
+      child.rotation = world.rotation;
+      child.scaleX = world.scaleX;
+      child.scaleY = world.scaleY;
+    }
+    
+    this.children.splice(index, 1);
+    child.parent = null;
+    return child;
+  }
+  
+  isAncestorOf(entity) {
+    for (let node = entity.parent; node; node = node.parent) {
+      if (node === this) return true;
+    }
+    return false;
+  }
+  
+  // Mesh-less entities in 3D/headless get an empty group so they can act as pivots
+  ensureObject3D() {
+    if (this.mesh || this.engine.config.mode === '2d') return;
+    this.mesh = new THREE.Group();
+    this.mesh.name = this.name;
+    this.mesh.position.set(this.x, this.y, 0);
+    this.mesh.visible = this.selfVisible;
+    if (this.scene && this.scene.object3d) this.scene.object3d.add(this.mesh);
+  }
+  
+  // Own flag combined with every ancestor's
+  isEnabled() {
+    for (let node = this; node; node = node.parent) {
+      if (!node.enabled) return false;
+    }
+    return true;
+  }
+  
+  isVisible() {
+    for (let node = this; node; node = node.parent) {
+      if (!node.visible) return false;
+    }
+    return true;
+  }
+  
+  get visible() {
+    return this.selfVisible;
+  }
+  
+  set visible(value) {
+    this.selfVisible = value;
+    if (this.mesh) this.mesh.visible = value;
+  }
+  
+  // 2D world transform: parent translate -> rotate -> scale, then local
+  getWorldTransform2D() {
+    const local = { x: this.x, y: this.y, rotation: this.rotation, scaleX: this.scaleX, scaleY: this.scaleY };
+    if (!this.parent) return local;
+    
+    const p = this.parent.getWorldTransform2D();
+    const cos = Math.cos(p.rotation);
+    const sin = Math.sin(p.rotation);
+    const sx = local.x * p.scaleX;
+    const sy = local.y * p.scaleY;
+    return {
+      x: p.x + sx * cos - sy * sin,
+      y: p.y + sx * sin + sy * cos,
+      rotation: p.rotation + local.rotation,
+      scaleX: p.scaleX * local.scaleX,
+      scaleY: p.scaleY * local.scaleY
+    };
+  }
+  
+  // Convert a world-space 2D point into this entity's local space
+  worldToLocal2D(x, y) {
+    const w = this.getWorldTransform2D();
+    const dx = x - w.x;
+    const dy = y - w.y;
+    const cos = Math.cos(-w.rotation);
+    const sin = Math.sin(-w.rotation);
+    return {
+      x: (dx * cos - dy * sin) / w.scaleX,
+      y: (dx * sin + dy * cos) / w.scaleY
+    };
+  }
+  
+  // Component system
+  addComponent(name, component) {
+    this.components.set(name, component);
+    if (this.scene) this.scene.queries.componentChanged(this, name);
+    this.engine.events.emit('component:add', { entity: this, name, component });
+    return component;
+  }
+  
+  getComponent(name) {
+    return this.components.get(name);
+  }
+  
+  hasComponent(name) {
+    return this.components.has(name);
+  }
+  
+  removeComponent(name) {
+    if (!this.components.has(name)) return;
+    const component = this.components.get(name);
+    this.components.delete(name);
+    if (this.scene) this.scene.queries.componentChanged(this, name);
+    this.engine.events.emit('component:remove', { entity: this, name, component });
+  }
+  
+  // Script system
+  addScript(script) {
+    this.scripts.push(script);
+    if (script.init) script.init(this);
+  }
+  
+  update(dt) {
+    this.scripts.forEach(script => {
+      if (script.update) script.update(dt, this);
+    });
+  }
+  
+  fixedUpdate(dt) {
+    this.scripts.forEach(script => {
+      if (script.fixedUpdate) script.fixedUpdate(dt, this);
+    });
+  }
+  
+  // 2D render; children draw inside this entity's transform and alpha
+  render(ctx) {
+    if (!this.visible) return;
+    
+    ctx.save();
+    ctx.globalAlpha *= this.alpha;
+    ctx.translate(this.x, this.y);
+    ctx.rotate(this.rotation);
+    ctx.scale(this.scaleX, this.scaleY);
+    
+    if (this.image) {
+      ctx.drawImage(this.image, -this.width / 2, -this.height / 2, this.width, this.height);
+    }
+    
+    this.children.forEach(child => child.render(ctx));
+    
+    ctx.restore();
+  }
+  
+  // Tags
+  addTag(tag) {
+    this.tags.add(tag);
+  }
+  
+  removeTag(tag) {
+    this.tags.delete(tag);
+  }
+  
+  hasTag(tag) {
+    return this.tags.has(tag);
+  }
+  
+  // Events
+  on(event, callback) {
+    this.events.on(event, callback);
+  }
+  
+  off(event, callback) {
+    this.events.off(event, callback);
+  }
+  
+  once(event, callback) {
+    this.events.once(event, callback);
+  }
+  
+  emit(event, data) {
+    this.events.emit(event, data);
+  }
+  
+  // Removes this entity and, with it, all of its children
+  destroy() {
+    this.engine.entity.remove(this);
+  }
+}
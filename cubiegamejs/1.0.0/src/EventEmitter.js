@@ -0,0 +1,37 @@
+// ============ EVENT EMITTER ============
+export class EventEmitter {
+  constructor() {
+    this.events = new Map();
+  }
+  
+  on(event, callback) {
+    if (!this.events.has(event)) {
+      this.events.set(event, []);
+    }
+    this.events.get(event).push(callback);
+  }
+  
+  off(event, callback) {
+    if (!this.events.has(event)) return;
+    const callbacks = this.events.get(event);
+    const index = callbacks.indexOf(callback);
+    if (index > -1) callbacks.splice(index, 1);
+  }
+  
+  emit(event, data) {
+    if (!this.events.has(event)) return;
+    this.events.get(event).forEach(callback => callback(data));
+  }
+  
+  once(event, callback) {
+    const wrapper = (data) => {
+      callback(data);
+      this.off(event, wrapper);
+    };
+    this.on(event, wrapper);
+  }
+  
+  clear() {
+    this.events.clear();
+  }
+}
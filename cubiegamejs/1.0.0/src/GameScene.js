@@ -0,0 +1,177 @@
+import * as THREE from 'three';
+import { disposeObject3D } from './disposeObject.js';
+import { QueryIndex } from './QueryIndex.js';
+
+// ============ GAME SCENE ============
+// A named scene with its own entities, systems, lights, hooks and render root.
+export class GameScene {
+  constructor(name, definition, engine) {
+    this.name = name;
+    this.engine = engine;
+    this.definition = definition;
+    this.keepLoaded = definition.keepLoaded || false;
+    this.runInBackground = definition.runInBackground || false;
+    this.loaded = false;
+    this.active = false;
+    
+    this.entities = new Map(); // id -> entity
+    this.names = new Map(); // name -> entities in creation order
+    this.queries = new QueryIndex(this);
+    this.systems = new Map();
+    this.lights = [];
+    this.hooks = {
+      preUpdate: [],
+      postUpdate: [],
+      preRender: [],
+      postRender: []
+    };
+    
+    // Render root: a THREE.Scene in 3D/headless, layer lists in 2D
+    this.object3d = null;
+    this.layers = new Map();
+    
+    // Last values given to cubie.scene.setBackground/setSkybox, for serialization
+    this.background = null;
+    this.skybox = null;
+  }
+  
+  isUpdating() {
+    return this.loaded && (this.active || this.runInBackground);
+  }
+  
+  load() {
+    if (this.loaded) return;
+    const engine = this.engine;
+    
+    if (engine.config.mode !== '2d') {
+      this.object3d = new THREE.Scene();
+      this.object3d.name = this.name;
+    } else {
+      ['background', 'main', 'foreground', 'ui'].forEach(layer => this.layers.set(layer, []));
+    }
+    this.loaded = true;
+    
+    // Everything created during setup lands in this scene, even if another is active
+    engine.scenes.build(this, () => {
+      if (engine.config.mode !== '2d' && this.definition.defaultLights !== false) {
+        this.addDefaultLights();
+      }
+      
+      Object.entries(this.definition.systems || {}).forEach(([name, system]) => {
+        this.system.add(name, system);
+      });
+      
+      Object.entries(this.definition.hooks || {}).forEach(([hook, fn]) => {
+        this.hooks[hook].push(fn);
+      });
+      
+      if (this.definition.setup) this.definition.setup(engine, this);
+    });
+    
+    engine.logger.debug(`Scene loaded: ${this.name}`);
+    engine.events.emit('scene:load', this);
+  }
+  
+  addDefaultLights() {
+    this.engine.light.add('ambient', { color: 0xffffff, intensity: 0.4 });
+    this.engine.light.add('directional', {
+      color: 0xffffff,
+      intensity: 0.8,
+      position: { x: 5, y: 10, z: 5 },
+      castShadow: true,
+      shadowMapSize: 2048,
+      shadowCameraSize: 20
+    });
+  }
+  
+  // Returns how many GPU resources were disposed
+  unload() {
+    if (!this.loaded) return 0;
+    const engine = this.engine;
+    
+    // Removing an entity detaches its mesh from this.object3d and frees it
+    let disposed = 0;
+    Array.from(this.entities.values()).forEach(entity => { disposed += engine.entity.remove(entity); });
+    this.entities.clear();
+    this.names.clear();
+    this.queries.clear();
+    
+    this.systems.forEach(system => {
+      if (system.destroy) system.destroy();
+    });
+    this.systems.clear();
+    
+    engine.particles.emitters
+      .filter(emitter => emitter.scene === this)
+      .forEach(emitter => engine.particles.removeEmitter(emitter));
+    
+    if (this.object3d) {
+      disposed += disposeObject3D(this.object3d);
+      this.object3d = null;
+    }
+    this.layers.clear();
+    this.lights = [];
+    this.background = null;
+    this.skybox = null;
+    Object.keys(this.hooks).forEach(hook => { this.hooks[hook] = []; });
+    
+    this.loaded = false;
+    engine.logger.debug(`Scene unloaded: ${this.name} (${disposed} GPU resources disposed)`);
+    engine.events.emit('scene:unload', this);
+    return disposed;
+  }
+  
+  indexName(entity) {
+    if (!this.names.has(entity.name)) this.names.set(entity.name, []);
+    this.names.get(entity.name).push(entity);
+  }
+  
+  unindexName(entity) {
+    const matches = this.names.get(entity.name);
+    if (!matches) return;
+    const index = matches.indexOf(entity);
+    if (index > -1) matches.splice(index, 1);
+    if (matches.length === 0) this.names.delete(entity.name);
+  }
+  
+  // Live list of this scene's entities that have all the given components
+  query(components) {
+    return this.queries.get(components).entities;
+  }
+  
+  enter(data) {
+    this.active = true;
+    if (this.definition.onEnter) this.definition.onEnter(this.engine, this, data);
+  }
+  
+  exit() {
+    this.active = false;
+    if (this.definition.onExit) this.definition.onExit(this.engine, this);
+  }
+  
+  // ============ SCENE SYSTEMS ============
+  system = {
+    add: (name, system) => {
+      system.enabled = system.enabled !== undefined ? system.enabled : true;
+      if (system.components) system.entities = this.query(system.components);
+      this.systems.set(name, system);
+      if (system.init) system.init(this.engine);
+    },
+    
+    get: (name) => this.systems.get(name),
+    
+    remove: (name) => {
+      const system = this.systems.get(name);
+      if (system && system.destroy) system.destroy();
+      this.systems.delete(name);
+    }
+  };
+  
+  // ============ SCENE HOOKS ============
+  hook = {
+    preUpdate: (fn) => this.hooks.preUpdate.push(fn),
+    postUpdate: (fn) => this.hooks.postUpdate.push(fn),
+    preRender: (fn) => this.hooks.preRender.push(fn),
+    postRender: (fn) => this.hooks.postRender.push(fn)
+  };
+}
@@ -0,0 +1,184 @@
+// ============ GESTURES ============
+// Recognizes gestures from the touches InputSystem applies and emits them on
+// cubie.events. Touches are queued and evaluated once per frame at frame
+// time, so a replayed log produces exactly the same gestures.
+//   'gesture:tap'         { x, y }
+//   'gesture:doubletap'   { x, y }           (after the second tap's 'gesture:tap')
+//   'gesture:longpress'   { x, y }           finger held still
+//   'gesture:swipe'       { direction, x, y, dx, dy, distance, velocity }
+//   'gesture:pinchstart'  { x, y }           second finger down; brackets pinch/rotate
+//   'gesture:pinch'       { scale, delta, x, y }     scale since pinchstart
+//   'gesture:rotate'      { rotation, delta, x, y }  radians since pinchstart
+//   'gesture:pinchend'    { scale, rotation, x, y }
+export class GestureRecognizer {
+  constructor(engine) {
+    this.engine = engine;
+    this.enabled = true;
+    // Times in seconds, distances in canvas pixels
+    this.options = {
+      tapTime: 0.25,
+      tapDistance: 10,
+      doubleTapTime: 0.3,
+      doubleTapDistance: 30,
+      longPressTime: 0.5,
+      swipeDistance: 50,
+      swipeTime: 0.5
+    };
+    this.queue = [];
+    this.touches = new Map(); // id -> { startX, startY, startTime, x, y, moved, held, multi }
+    this.multi = null; // two-finger gesture in progress
+    this.lastTap = null;
+  }
+  
+  touchStart(touch) {
+    this.queue.push({ type: 'start', id: touch.id, x: touch.x, y: touch.y });
+  }
+  
+  touchMove(touch) {
+    this.queue.push({ type: 'move', id: touch.id, x: touch.x, y: touch.y });
+  }
+  
+  touchEnd(touch) {
+    this.queue.push({ type: 'end', id: touch.id, x: touch.x, y: touch.y });
+  }
+  
+  update() {
+    const time = this.engine.unscaledTime;
+    const queue = this.queue;
+    this.queue = [];
+    if (!this.enabled) return;
+    
+    queue.forEach(event => {
+      if (event.type === 'start') this.start(event, time);
+      else if (event.type === 'move') this.move(event);
+      else this.end(event, time);
+    });
+    
+    // Long press: a single finger that stayed put long enough
+    this.touches.forEach(touch => {
+      if (touch.multi || touch.moved || touch.held) return;
+      if (time - touch.startTime >= this.options.longPressTime) {
+        touch.held = true;
+        this.emit('longpress', { x: touch.x, y: touch.y });
+      }
+    });
+  }
+  
+  start(event, time) {
+    this.touches.set(event.id, {
+      startX: event.x,
+      startY: event.y,
+      startTime: time,
+      x: event.x,
+      y: event.y,
+      moved: false,
+      held: false,
+      multi: false
+    });
+    
+    if (this.touches.size === 2 && !this.multi) {
+      const [a, b] = Array.from(this.touches.values());
+      a.multi = true;
+      b.multi = true;
+      this.multi = {
+        ids: Array.from(this.touches.keys()),
+        distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+        angle: Math.atan2(b.y - a.y, b.x - a.x),
+        scale: 1,
+        rotation: 0
+      };
+      this.emit('pinchstart', { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+    }
+  }
+  
+  move(event) {
+    const touch = this.touches.get(event.id);
+    if (!touch) return;
+    touch.x = event.x;
+    touch.y = event.y;
+    if (Math.hypot(touch.x - touch.startX, touch.y - touch.startY) > this.options.tapDistance) {
+      touch.moved = true;
+    }
+    
+    const multi = this.multi;
+    if (!multi || !multi.ids.includes(event.id)) return;
+    const a = this.touches.get(multi.ids[0]);
+    const b = this.touches.get(multi.ids[1]);
+    const center = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    
+    const scale = Math.hypot(b.x - a.x, b.y - a.y) / multi.distance;
+    if (scale !== multi.scale) {
+      this.emit('pinch', { scale, delta: scale / multi.scale, ...center });
+      multi.scale = scale;
+    }
+    
+    const rotation = wrapAngle(Math.atan2(b.y - a.y, b.x - a.x) - multi.angle);
+    if (rotation !== multi.rotation) {
+      this.emit('rotate', { rotation, delta: wrapAngle(rotation - multi.rotation), ...center });
+      multi.rotation = rotation;
+    }
+  }
+  
+  end(event, time) {
+    const touch = this.touches.get(event.id);
+    if (!touch) return;
+    this.touches.delete(event.id);
+    touch.x = event.x;
+    touch.y = event.y;
+    
+    if (touch.multi) {
+      const multi = this.multi;
+      if (multi && multi.ids.includes(event.id)) {
+        this.multi = null;
+        this.emit('pinchend', { scale: multi.scale, rotation: multi.rotation, x: touch.x, y: touch.y });
+      }
+      return;
+    }
+    
+    const duration = time - touch.startTime;
+    const dx = touch.x - touch.startX;
+    const dy = touch.y - touch.startY;
+    const distance = Math.hypot(dx, dy);
+    
+    if (!touch.moved && !touch.held && duration <= this.options.tapTime) {
+      this.emit('tap', { x: touch.x, y: touch.y });
+      const last = this.lastTap;
+      if (last && time - last.time <= this.options.doubleTapTime &&
+          Math.hypot(touch.x - last.x, touch.y - last.y) <= this.options.doubleTapDistance) {
+        this.emit('doubletap', { x: touch.x, y: touch.y });
+        this.lastTap = null; // a third tap starts a new pair
+      } else {
+        this.lastTap = { x: touch.x, y: touch.y, time };
+      }
+    } else if (distance >= this.options.swipeDistance && duration <= this.options.swipeTime) {
+      const direction = Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'down' : 'up');
+      this.emit('swipe', {
+        direction,
+        x: touch.startX,
+        y: touch.startY,
+        dx,
+        dy,
+        distance,
+        velocity: distance / Math.max(duration, 1 / 60)
+      });
+    }
+  }
+  
+  emit(name, data) {
+    this.engine.events.emit(`gesture:${name}`, data);
+  }
+  
+  reset() {
+    this.queue = [];
+    this.touches.clear();
+    this.multi = null;
+    this.lastTap = null;
+  }
+}
+
+// Into (-PI, PI]
+function wrapAngle(angle) {
+  while (angle <= -Math.PI) angle += Math.PI * 2;
+  while (angle > Math.PI) angle -= Math.PI * 2;
+  return angle;
+}
@@ -0,0 +1,53 @@
+// ============ GRAPHICS SYSTEM ============
+export class GraphicsSystem {
+  constructor(engine) {
+    this.engine = engine;
+  }
+  
+  // 2D Drawing API
+  rect(x, y, width, height, color, options = {}) {
+    if (this.engine.config.mode !== '2d') return;
+    const ctx = this.engine.ctx2d;
+    ctx.fillStyle = color;
+    if (options.stroke) {
+      ctx.strokeStyle = options.strokeColor || '#000';
+      ctx.lineWidth = options.strokeWidth || 1;
+      ctx.strokeRect(x, y, width, height);
+    }
+    ctx.fillRect(x, y, width, height);
+  }
+  
+  circle(x, y, radius, color, options = {}) {
+    if (this.engine.config.mode !== '2d') return;
+    const ctx = this.engine.ctx2d;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+    if (options.stroke) {
+      ctx.strokeStyle = options.strokeColor || '#000';
+      ctx.lineWidth = options.strokeWidth || 1;
+      ctx.stroke();
+    }
+  }
+  
+  line(x1, y1, x2, y2, color, width = 1) {
+    if (this.engine.config.mode !== '2d') return;
+    const ctx = this.engine.ctx2d;
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.stroke();
+  }
+  
+  text(text, x, y, options = {}) {
+    if (this.engine.config.mode !== '2d') return;
+    const ctx = this.engine.ctx2d;
+    ctx.font = options.font || '16px Arial';
+    ctx.fillStyle = options.color || '#000';
+    ctx.textAlign = options.align || 'left';
+    ctx.fillText(text, x, y);
+  }
+}
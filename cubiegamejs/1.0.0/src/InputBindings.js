@@ -0,0 +1,100 @@
+// ============ INPUT BINDINGS ============
+// Binding strings used by input actions and axes:
+//   'Space', 'W', 'ArrowUp'     keyboard (KeyboardEvent.key, case-insensitive)
+//   'mouse:0' / 'mouse:left'    mouse button
+//   'gamepad:A' / 'gamepad:7'   gamepad button (standard mapping name or index)
+//   'gamepad:leftStickX'        gamepad axis (analog, for axes)
+//   'gamepad1:A'                same, for the gamepad in player slot 1 (slots count
+//                               from 0; 'gamepad:' is 'gamepad0:')
+//   'virtual:jump'              on-screen button (see VirtualControls.js)
+//   'virtual:stick.x'           on-screen joystick axis
+
+// Buttons of the W3C "standard" gamepad mapping
+export const GAMEPAD_BUTTONS = {
+  a: 0, b: 1, x: 2, y: 3,
+  lb: 4, rb: 5, lt: 6, rt: 7,
+  back: 8, select: 8, start: 9,
+  ls: 10, rs: 11,
+  dpadup: 12, dpaddown: 13, dpadleft: 14, dpadright: 15,
+  home: 16
+};
+
+export const GAMEPAD_BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', 'DpadUp', 'DpadDown', 'DpadLeft', 'DpadRight', 'Home'];
+
+export const GAMEPAD_AXES = {
+  leftstickx: 0, leftsticky: 1,
+  rightstickx: 2, rightsticky: 3
+};
+
+const MOUSE_BUTTONS = { left: 0, middle: 1, right: 2 };
+
+// Friendly key names -> KeyboardEvent.key (lowercased, as InputSystem stores keys)
+const KEY_ALIASES = {
+  space: ' ', spacebar: ' ',
+  esc: 'escape', return: 'enter', del: 'delete', ctrl: 'control',
+  up: 'arrowup', down: 'arrowdown', left: 'arrowleft', right: 'arrowright'
+};
+
+// Standard-mapping button index for a name ('A', 'dpadUp') or index
+export function gamepadButtonIndex(button) {
+  if (typeof button === 'number') return button;
+  const lower = button.toLowerCase();
+  if (!(lower in GAMEPAD_BUTTONS)) throw new Error(`Unknown gamepad button: ${button}`);
+  return GAMEPAD_BUTTONS[lower];
+}
+
+// { device: 'key' | 'mouse' | 'gamepadButton' | 'gamepadAxis' | 'virtual', code, player? }
+export function parseBinding(binding) {
+  const separator = binding.indexOf(':');
+  const prefix = separator > 0 ? binding.slice(0, separator).toLowerCase() : null;
+  const name = separator > 0 ? binding.slice(separator + 1) : binding;
+  const lower = name.toLowerCase();
+  
+  if (prefix === 'mouse') {
+    const code = lower in MOUSE_BUTTONS ? MOUSE_BUTTONS[lower] : parseInt(lower, 10);
+    if (Number.isNaN(code)) throw new Error(`Unknown mouse button in binding: ${binding}`);
+    return { device: 'mouse', code };
+  }
+  
+  if (prefix === 'virtual') return { device: 'virtual', code: name };
+  
+  const gamepad = prefix && prefix.match(/^gamepad(\d*)$/);
+  if (gamepad) {
+    const player = gamepad[1] ? parseInt(gamepad[1], 10) : 0;
+    if (lower in GAMEPAD_BUTTONS) return { device: 'gamepadButton', code: GAMEPAD_BUTTONS[lower], player };
+    if (lower in GAMEPAD_AXES) return { device: 'gamepadAxis', code: GAMEPAD_AXES[lower], player };
+    const code = parseInt(lower, 10);
+    if (Number.isNaN(code)) throw new Error(`Unknown gamepad input in binding: ${binding}`);
+    return { device: 'gamepadButton', code, player };
+  }
+  
+  if (prefix) throw new Error(`Unknown input device in binding: ${binding}`);
+  return { device: 'key', code: lower in KEY_ALIASES ? KEY_ALIASES[lower] : lower };
+}
+
+// Canonical string for a binding, so 'space', 'Space' and 'Spacebar' compare equal
+export function bindingId(binding) {
+  const { device, code, player } = parseBinding(binding);
+  return player !== undefined ? `${device}${player}:${code}` : `${device}:${code}`;
+}
+
+// Display name for a pressed key, the inverse of the aliases above
+export function keyBinding(key) {
+  if (key === ' ') return 'Space';
+  return key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+// Rescaled so output starts at 0 on the deadzone edge and still reaches 1
+export function applyDeadzone(x, y, size, type) {
+  if (type === 'axial') return { x: axialDeadzone(x, size), y: axialDeadzone(y, size) };
+  
+  const length = Math.sqrt(x * x + y * y);
+  if (length < size || length === 0) return { x: 0, y: 0 };
+  const scale = (Math.min(length, 1) - size) / (1 - size) / length;
+  return { x: x * scale, y: y * scale };
+}
+
+function axialDeadzone(value, size) {
+  const magnitude = Math.min(Math.abs(value), 1);
+  return magnitude < size ? 0 : Math.sign(value) * (magnitude - size) / (1 - size);
+}
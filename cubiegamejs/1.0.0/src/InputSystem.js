@@ -0,0 +1,955 @@
+import { hasWindow, hasDocument, hasNavigator, listen, unlistenAll } from './platform.js';
+import { parseBinding, bindingId, keyBinding, gamepadButtonIndex, applyDeadzone, GAMEPAD_BUTTON_NAMES } from './InputBindings.js';
+import { VirtualControls, VirtualJoystick, VirtualButton } from './VirtualControls.js';
+import { GestureRecognizer } from './Gestures.js';
+
+// ============ INPUT SYSTEM ============
+// PointerEvent.buttons bit for each PointerEvent.button
+const BUTTON_BITS = [1, 4, 2, 8, 16];
+
+export class InputSystem {
+  constructor(engine) {
+    this.engine = engine;
+    this.keys = {};
+    this.keysPressed = {};
+    this.keysReleased = {};
+    this.mouse = createMouse();
+    this.touches = new Map();
+    this.canvas = null; // pointer events are scoped to it, see attach()
+    this.pointerLocked = false;
+    // Player slot -> Gamepad (or a recorded snapshot), filled in connection order
+    this.gamepads = new Array(engine.config.gamepads).fill(null);
+    this.gamepadIds = []; // last id per slot, so a reconnecting pad gets its slot back
+    this.gamepadPrevious = this.gamepads.map(() => []); // button states at the end of last frame
+    this.listeners = [];
+    this.recording = null;
+    this.replaying = null;
+    
+    // Named actions and axes; binding strings are described in InputBindings.js
+    this.actions = new Map(); // name -> { bindings, defaults, down, pressed, released, value }
+    this.axes = new Map(); // name -> { negative, positive, analog, defaults }
+    this.axes2D = new Map(); // name -> { x: axis name, y: axis name }
+    this.deadzone = 0.1;
+    this.deadzoneType = 'radial'; // 'radial' (whole stick) or 'axial' (each axis)
+    this.capture = null; // pending captureBinding()
+    
+    // Touch: gestures are emitted as 'gesture:*' events, on-screen controls
+    // feed actions and axes through 'virtual:' bindings
+    this.gestures = new GestureRecognizer(engine);
+    this.virtual = new VirtualControls(this);
+    
+    this.setupListeners();
+  }
+  
+  setupListeners() {
+    // Headless engines have no DOM to listen to
+    if (this.engine.config.mode === 'headless' || !hasWindow) return;
+    
+    // Keyboard
+    listen(this.listeners, window, 'keydown', (e) => {
+      this.handle({ type: 'keydown', key: e.key.toLowerCase() });
+    });
+    
+    listen(this.listeners, window, 'keyup', (e) => {
+      this.handle({ type: 'keyup', key: e.key.toLowerCase() });
+    });
+    
+    // Gamepad
+    listen(this.listeners, window, 'gamepadconnected', (e) => {
+      this.handle({ type: 'gamepadconnected', gamepad: this.snapshotGamepad(e.gamepad) });
+    });
+    
+    listen(this.listeners, window, 'gamepaddisconnected', (e) => {
+      this.handle({ type: 'gamepaddisconnected', index: e.gamepad.index });
+    });
+  }
+  
+  // Mouse, pen and touch come from Pointer Events on the game canvas only, in
+  // canvas pixels (cubie.config.width x height) however the canvas is scaled
+  attach(canvas) {
+    if (!canvas || this.engine.config.mode === 'headless' || !hasWindow) return;
+    this.canvas = canvas;
+    canvas.style.touchAction = 'none'; // no browser panning or pinch-zoom over the game
+    
+    listen(this.listeners, canvas, 'pointerdown', (e) => {
+      canvas.setPointerCapture(e.pointerId); // keep moves and the release when the pointer leaves
+      if (e.pointerType === 'touch') {
+        this.handle({ type: 'touchstart', touches: [this.pointerTouch(e)] });
+      } else {
+        this.handle({ type: 'mousedown', button: e.button, ...this.toCanvas(e) });
+      }
+    });
+    
+    listen(this.listeners, canvas, 'pointermove', (e) => {
+      if (e.pointerType === 'touch') {
+        this.handle({ type: 'touchmove', touches: [this.pointerTouch(e)] });
+        return;
+      }
+      // A second button pressed or released while another is held arrives as a move
+      if (e.button > -1) {
+        const down = (e.buttons & BUTTON_BITS[e.button]) !== 0;
+        this.handle({ type: down ? 'mousedown' : 'mouseup', button: e.button });
+      }
+      this.handle({ type: 'mousemove', ...this.toCanvas(e), movementX: e.movementX, movementY: e.movementY });
+    });
+    
+    const pointerUp = (e) => {
+      if (e.pointerType === 'touch') {
+        this.handle({ type: 'touchend', touches: [this.pointerTouch(e)] });
+      } else {
+        this.handle({ type: 'mouseup', button: e.button });
+      }
+    };
+    listen(this.listeners, canvas, 'pointerup', pointerUp);
+    listen(this.listeners, canvas, 'pointercancel', pointerUp);
+    
+    listen(this.listeners, canvas, 'contextmenu', (e) => e.preventDefault());
+    
+    listen(this.listeners, canvas, 'wheel', (e) => {
+      e.preventDefault(); // scroll the game, not the page
+      const scale = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? this.engine.config.height : 1; // lines, pages
+      this.handle({ type: 'wheel', deltaX: e.deltaX * scale, deltaY: e.deltaY * scale });
+    }, { passive: false });
+    
+    if (hasDocument) {
+      listen(this.listeners, document, 'pointerlockchange', () => {
+        this.pointerLocked = document.pointerLockElement === canvas;
+        this.engine.events.emit('input:pointerlock', { locked: this.pointerLocked });
+      });
+    }
+  }
+  
+  toCanvas(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (this.engine.config.width / rect.width),
+      y: (e.clientY - rect.top) * (this.engine.config.height / rect.height)
+    };
+  }
+  
+  pointerTouch(e) {
+    return { id: e.pointerId, ...this.toCanvas(e) };
+  }
+  
+  // Every device event goes through here as a plain object, so it can be recorded
+  handle(event) {
+    if (this.replaying) return; // the replay log is the only input source
+    if (this.recording) this.recording.pending.push(event);
+    this.apply(event);
+  }
+  
+  apply(event) {
+    switch (event.type) {
+      case 'keydown':
+        if (!this.keys[event.key]) this.keysPressed[event.key] = true;
+        this.keys[event.key] = true;
+        break;
+      case 'keyup':
+        this.keys[event.key] = false;
+        this.keysReleased[event.key] = true;
+        break;
+      case 'mousedown':
+        if (event.x !== undefined) {
+          this.mouse.x = event.x;
+          this.mouse.y = event.y;
+        }
+        if (!this.mouse.buttons[event.button]) this.mouse.pressed[event.button] = true;
+        this.mouse.buttons[event.button] = true;
+        break;
+      case 'mouseup':
+        this.mouse.buttons[event.button] = false;
+        this.mouse.released[event.button] = true;
+        break;
+      case 'mousemove':
+        this.mouse.x = event.x;
+        this.mouse.y = event.y;
+        this.mouse.movementX = event.movementX;
+        this.mouse.movementY = event.movementY;
+        this.mouse.deltaX += event.movementX || 0;
+        this.mouse.deltaY += event.movementY || 0;
+        break;
+      case 'wheel':
+        this.mouse.wheelX += event.deltaX;
+        this.mouse.wheelY += event.deltaY;
+        break;
+      case 'touchstart':
+        event.touches.forEach(touch => {
+          this.touches.set(touch.id, { x: touch.x, y: touch.y, startX: touch.x, startY: touch.y });
+          if (!this.virtual.touchStart(touch)) this.gestures.touchStart(touch);
+        });
+        break;
+      case 'touchmove':
+        event.touches.forEach(touch => {
+          const t = this.touches.get(touch.id);
+          if (t) {
+            t.x = touch.x;
+            t.y = touch.y;
+          }
+          if (!this.virtual.touchMove(touch)) this.gestures.touchMove(touch);
+        });
+        break;
+      case 'touchend':
+        event.touches.forEach(touch => {
+          this.touches.delete(touch.id);
+          if (!this.virtual.touchEnd(touch)) this.gestures.touchEnd(touch);
+        });
+        break;
+      case 'gamepadconnected':
+        this.connectGamepad(event.gamepad);
+        break;
+      case 'gamepaddisconnected':
+        this.disconnectGamepad(event.index);
+        break;
+      case 'gamepad':
+        this.gamepads[event.player !== undefined ? event.player : 0] = event.gamepad;
+        break;
+      default:
+        this.engine.logger.warn(`Unknown input event: ${event.type}`);
+    }
+  }
+  
+  update(dt) {
+    if (this.replaying) this.replayFrame();
+    
+    if (!this.replaying) {
+      this.pollGamepads();
+      if (this.recording) this.recordFrame();
+    }
+    
+    this.gestures.update();
+    this.updateActions();
+    if (this.capture) this.updateCapture();
+  }
+  
+  // ============ RECORDING & REPLAY ============
+  // A log is plain JSON: the input state when recording started, the real
+  // frame time of every frame, and device events tagged with the frame
+  // (counted from the start of the recording) that first saw them.
+  startRecording() {
+    if (this.replaying) this.stopReplay();
+    const initial = this.captureState();
+    this.recording = {
+      pending: [],
+      lastGamepads: initial.gamepads.map(gamepad => JSON.stringify(gamepad)),
+      log: {
+        version: 1,
+        random: this.engine.random.getState(),
+        initial,
+        frames: 0,
+        deltas: [],
+        events: []
+      }
+    };
+    this.engine.logger.info('Input recording started');
+    this.engine.events.emit('record:start');
+  }
+  
+  stopRecording() {
+    if (!this.recording) return null;
+    const log = this.recording.log;
+    this.recording = null;
+    this.engine.logger.info(`Input recording stopped: ${log.frames} frames, ${log.events.length} events`);
+    this.engine.events.emit('record:stop', log);
+    return log;
+  }
+  
+  recordFrame() {
+    const recording = this.recording;
+    const frame = recording.log.frames;
+    
+    // Gamepads are polled, so record a snapshot whenever a pad's state changes
+    this.gamepads.forEach((pad, player) => {
+      const gamepad = this.snapshotGamepad(pad);
+      const serialized = JSON.stringify(gamepad);
+      if (serialized !== recording.lastGamepads[player]) {
+        recording.pending.push({ type: 'gamepad', player, gamepad });
+        recording.lastGamepads[player] = serialized;
+      }
+    });
+    
+    recording.pending.forEach(event => recording.log.events.push({ frame, ...event }));
+    recording.pending = [];
+    recording.log.deltas.push(this.engine.unscaledDeltaTime);
+    recording.log.frames++;
+  }
+  
+  // Feeds the log back instead of DOM events; resolves when it runs out.
+  // restoreRandom (default true) rewinds cubie.random to where recording began.
+  replay(log, options = {}) {
+    if (typeof log === 'string') log = JSON.parse(log);
+    if (this.recording) this.stopRecording();
+    if (this.replaying) this.stopReplay();
+    
+    const liveGamepads = [...this.gamepads];
+    this.restoreState(log.initial);
+    if (options.restoreRandom !== false && log.random) this.engine.random.setState(log.random);
+    
+    return new Promise(resolve => {
+      this.replaying = { log, frame: 0, index: 0, resolve, liveGamepads };
+      this.engine.logger.info(`Input replay started: ${log.frames} frames`);
+      this.engine.events.emit('replay:start', log);
+    });
+  }
+  
+  stopReplay() {
+    const replay = this.replaying;
+    if (!replay) return;
+    this.replaying = null;
+    this.restoreState(null);
+    // Pads connected before the replay keep their slots without new events
+    replay.liveGamepads.forEach((gamepad, player) => { this.gamepads[player] = gamepad; });
+    this.engine.logger.info(`Input replay ended at frame ${replay.frame}`);
+    this.engine.events.emit('replay:end', replay.log);
+    replay.resolve(replay.log);
+  }
+  
+  replayFrame() {
+    const replay = this.replaying;
+    if (replay.frame >= replay.log.frames) {
+      this.stopReplay();
+      return;
+    }
+    
+    const events = replay.log.events;
+    while (replay.index < events.length && events[replay.index].frame === replay.frame) {
+      const { frame, ...event } = events[replay.index];
+      this.apply(event);
+      replay.index++;
+    }
+    replay.frame++;
+  }
+  
+  // Recorded frame time for the frame about to run, so fixed steps line up
+  replayDelta(frameDelta) {
+    const replay = this.replaying;
+    if (!replay || replay.frame >= replay.log.deltas.length) return frameDelta;
+    return replay.log.deltas[replay.frame];
+  }
+  
+  captureState() {
+    return {
+      keys: Object.keys(this.keys).filter(key => this.keys[key]),
+      mouse: {
+        x: this.mouse.x,
+        y: this.mouse.y,
+        buttons: Object.keys(this.mouse.buttons).filter(button => this.mouse.buttons[button]).map(Number)
+      },
+      touches: Array.from(this.touches.entries()).map(([id, touch]) => ({ id, ...touch })),
+      gamepads: this.gamepads.map(gamepad => this.snapshotGamepad(gamepad))
+    };
+  }
+  
+  // null resets to "nothing held"
+  restoreState(state) {
+    this.keys = {};
+    this.keysPressed = {};
+    this.keysReleased = {};
+    this.mouse = createMouse();
+    this.touches.clear();
+    this.gamepads.fill(null);
+    this.virtual.reset();
+    this.gestures.reset();
+    if (!state) return;
+    
+    state.keys.forEach(key => { this.keys[key] = true; });
+    this.mouse.x = state.mouse.x;
+    this.mouse.y = state.mouse.y;
+    state.mouse.buttons.forEach(button => { this.mouse.buttons[button] = true; });
+    state.touches.forEach(({ id, ...touch }) => {
+      this.touches.set(id, touch);
+      this.virtual.touchStart({ id, x: touch.x, y: touch.y });
+    });
+    (state.gamepads || [state.gamepad]).forEach((gamepad, player) => { this.gamepads[player] = gamepad; });
+  }
+  
+  // Plain copy of a Gamepad that getButton/getAxis can read like the real one
+  snapshotGamepad(gamepad) {
+    if (!gamepad) return null;
+    return {
+      index: gamepad.index,
+      id: gamepad.id,
+      mapping: gamepad.mapping,
+      axes: Array.from(gamepad.axes),
+      buttons: Array.from(gamepad.buttons, button => ({ pressed: button.pressed, value: button.value }))
+    };
+  }
+  
+  destroy() {
+    // Settles the promise from replay() so nothing awaiting it hangs
+    this.stopReplay();
+    this.unlockPointer();
+    unlistenAll(this.listeners);
+    this.virtual.destroy();
+    this.gestures.reset();
+    this.recording = null;
+    this.keys = {};
+    this.keysPressed = {};
+    this.keysReleased = {};
+    this.touches.clear();
+    this.gamepads.fill(null);
+  }
+  
+  endFrame() {
+    // Clear pressed/released states once the frame has seen them
+    this.gamepadPrevious = this.gamepads.map(gamepad => gamepad ? gamepad.buttons.map(button => button.pressed) : []);
+    this.keysPressed = {};
+    this.keysReleased = {};
+    this.mouse.pressed = {};
+    this.mouse.released = {};
+    this.mouse.deltaX = 0;
+    this.mouse.deltaY = 0;
+    this.mouse.wheelX = 0;
+    this.mouse.wheelY = 0;
+    this.virtual.endFrame();
+  }
+  
+  // Keyboard API
+  isKeyDown(key) {
+    return this.keys[key.toLowerCase()] || false;
+  }
+  
+  isKeyPressed(key) {
+    return this.keysPressed[key.toLowerCase()] || false;
+  }
+  
+  isKeyReleased(key) {
+    return this.keysReleased[key.toLowerCase()] || false;
+  }
+  
+  // Mouse API
+  isMouseDown(button = 0) {
+    return this.mouse.buttons[button] || false;
+  }
+  
+  isMousePressed(button = 0) {
+    return this.mouse.pressed[button] || false;
+  }
+  
+  isMouseReleased(button = 0) {
+    return this.mouse.released[button] || false;
+  }
+  
+  // Canvas pixels
+  getMousePosition() {
+    return { x: this.mouse.x, y: this.mouse.y };
+  }
+  
+  // Movement summed over this frame; keeps working while the pointer is locked
+  getMouseDelta() {
+    return { x: this.mouse.deltaX, y: this.mouse.deltaY };
+  }
+  
+  // Wheel scroll this frame in pixels (positive y scrolls down)
+  getWheel() {
+    return { x: this.mouse.wheelX, y: this.mouse.wheelY };
+  }
+  
+  // 2D: world { x, y } under the mouse. 3D: where the mouse ray meets the
+  // horizontal plane at planeY, or null when it points away from it
+  getMouseWorldPosition(planeY = 0) {
+    return this.engine.camera.screenToWorld(this.mouse.x, this.mouse.y, planeY);
+  }
+  
+  // THREE.Ray from the 3D camera through the mouse, for raycasts (null in 2D)
+  getMouseRay() {
+    return this.engine.camera.screenToRay(this.mouse.x, this.mouse.y);
+  }
+  
+  // Pointer lock hides the cursor and reports raw movement (getMouseDelta)
+  // for first-person controls. Browsers only grant it shortly after a click
+  // or key press. options.raw asks for movement without OS acceleration.
+  async lockPointer(options = {}) {
+    if (!this.canvas || !this.canvas.requestPointerLock) return false;
+    try {
+      await this.canvas.requestPointerLock(options.raw ? { unadjustedMovement: true } : undefined);
+      return true;
+    } catch (error) {
+      this.engine.logger.warn(`Pointer lock failed: ${error.message}`);
+      return false;
+    }
+  }
+  
+  unlockPointer() {
+    if (hasDocument && this.canvas && document.pointerLockElement === this.canvas) {
+      document.exitPointerLock();
+    }
+  }
+  
+  isPointerLocked() {
+    return this.pointerLocked;
+  }
+  
+  // Touch API
+  getTouches() {
+    return Array.from(this.touches.values());
+  }
+  
+  getTouchCount() {
+    return this.touches.size;
+  }
+  
+  // On-screen controls, see VirtualControls.js. Bind them as 'virtual:name'
+  // (buttons) or 'virtual:name.x' / 'virtual:name.y' (joysticks).
+  addJoystick(name, options) {
+    return this.virtual.add(new VirtualJoystick(name, options));
+  }
+  
+  addButton(name, options) {
+    return this.virtual.add(new VirtualButton(name, options));
+  }
+  
+  getControl(name) {
+    return this.virtual.get(name);
+  }
+  
+  removeControl(name) {
+    this.virtual.remove(name);
+  }
+  
+  // Gamepad API. Players are slots counted from 0; buttons are standard-mapping
+  // names ('A', 'LB', 'DpadUp', ...) or indices.
+  getGamepad(player = 0) {
+    return this.gamepads[player] || null;
+  }
+  
+  getGamepadCount() {
+    return this.gamepads.filter(Boolean).length;
+  }
+  
+  isButtonDown(player, button) {
+    return this.buttonState(player, gamepadButtonIndex(button)).down;
+  }
+  
+  isButtonPressed(player, button) {
+    return this.buttonState(player, gamepadButtonIndex(button)).pressed;
+  }
+  
+  isButtonReleased(player, button) {
+    return this.buttonState(player, gamepadButtonIndex(button)).released;
+  }
+  
+  // 0..1, for analog triggers
+  getButtonValue(player, button) {
+    return this.buttonState(player, gamepadButtonIndex(button)).value;
+  }
+  
+  // Player 0's button, held
+  getButton(index) {
+    return this.isButtonDown(0, index);
+  }
+  
+  // Player 0's raw axis by index, or a named axis (see defineAxis)
+  getAxis(index) {
+    if (typeof index === 'string') return this.getNamedAxis(index);
+    return this.gamepads[0]?.axes[index] || 0;
+  }
+  
+  // { x, y } of 'left' or 'right' stick with the deadzone applied; options
+  // can override deadzone and deadzoneType
+  getStick(player = 0, stick = 'left', options = {}) {
+    const gamepad = this.gamepads[player];
+    if (!gamepad) return { x: 0, y: 0 };
+    
+    const offset = stick === 'right' ? 2 : 0;
+    const size = options.deadzone !== undefined ? options.deadzone : this.deadzone;
+    const type = options.deadzoneType || this.deadzoneType;
+    return applyDeadzone(gamepad.axes[offset] || 0, gamepad.axes[offset + 1] || 0, size, type);
+  }
+  
+  buttonState(player, index) {
+    const button = this.gamepads[player]?.buttons[index];
+    const down = button ? button.pressed : false;
+    const was = this.gamepadPrevious[player]?.[index] || false;
+    return {
+      down,
+      value: button ? (button.value || (down ? 1 : 0)) : 0,
+      pressed: down && !was,
+      released: !down && was
+    };
+  }
+  
+  // Resolves true once the pad has rumbled, false where unsupported.
+  // options: { duration (ms), strong, weak } with motor magnitudes 0..1
+  async rumble(player = 0, options = {}) {
+    const gamepad = this.liveGamepad(player);
+    if (!gamepad) return false;
+    
+    const duration = options.duration !== undefined ? options.duration : 200;
+    const strong = options.strong !== undefined ? options.strong : 1;
+    const weak = options.weak !== undefined ? options.weak : strong;
+    try {
+      if (gamepad.vibrationActuator) {
+        await gamepad.vibrationActuator.playEffect('dual-rumble', {
+          startDelay: 0,
+          duration,
+          strongMagnitude: strong,
+          weakMagnitude: weak
+        });
+        return true;
+      }
+      if (gamepad.hapticActuators && gamepad.hapticActuators[0]) {
+        await gamepad.hapticActuators[0].pulse(Math.max(strong, weak), duration);
+        return true;
+      }
+    } catch (error) {
+      this.engine.logger.debug(`Rumble failed: ${error.message}`);
+    }
+    return false;
+  }
+  
+  stopRumble(player = 0) {
+    const gamepad = this.liveGamepad(player);
+    if (gamepad?.vibrationActuator?.reset) gamepad.vibrationActuator.reset();
+  }
+  
+  // The browser's Gamepad for a slot (slots may hold recorded snapshots)
+  liveGamepad(player) {
+    const gamepad = this.gamepads[player];
+    if (!gamepad || this.replaying || !hasNavigator || !navigator.getGamepads) return null;
+    return navigator.getGamepads()[gamepad.index] || null;
+  }
+  
+  // A reconnecting pad gets its old slot back, a new one the first free slot
+  connectGamepad(gamepad) {
+    if (this.getGamepadPlayer(gamepad.index) > -1) return;
+    
+    let player = this.gamepads.findIndex((pad, slot) => !pad && this.gamepadIds[slot] === gamepad.id);
+    if (player === -1) player = this.gamepads.indexOf(null);
+    if (player === -1) {
+      this.engine.logger.warn(`Gamepad ignored, all ${this.gamepads.length} player slots are taken: ${gamepad.id}`);
+      return;
+    }
+    
+    this.gamepads[player] = gamepad;
+    this.gamepadIds[player] = gamepad.id;
+    this.gamepadPrevious[player] = [];
+    if (gamepad.mapping !== 'standard') {
+      this.engine.logger.warn(`Gamepad ${gamepad.id} has no standard mapping, button names may not match`);
+    }
+    this.engine.logger.info(`Gamepad connected: ${gamepad.id} (player ${player})`);
+    this.engine.events.emit('gamepad:connected', { player, id: gamepad.id, gamepad });
+  }
+  
+  disconnectGamepad(index) {
+    const player = this.getGamepadPlayer(index);
+    if (player === -1) return;
+    
+    const id = this.gamepads[player].id;
+    this.gamepads[player] = null;
+    this.engine.logger.info(`Gamepad disconnected: ${id} (player ${player})`);
+    this.engine.events.emit('gamepad:disconnected', { player, id });
+  }
+  
+  getGamepadPlayer(index) {
+    return this.gamepads.findIndex(gamepad => gamepad && gamepad.index === index);
+  }
+  
+  // Refreshes connected pads and catches (dis)connections the window events
+  // missed, e.g. pads plugged in before the engine started
+  pollGamepads() {
+    if (!hasNavigator || !navigator.getGamepads) return;
+    const pads = navigator.getGamepads();
+    
+    this.gamepads.forEach((gamepad, player) => {
+      if (!gamepad) return;
+      const live = pads[gamepad.index];
+      if (live && live.connected !== false) this.gamepads[player] = live;
+      else this.handle({ type: 'gamepaddisconnected', index: gamepad.index });
+    });
+    
+    Array.from(pads).forEach(pad => {
+      if (pad && pad.connected !== false && this.getGamepadPlayer(pad.index) === -1) {
+        this.handle({ type: 'gamepadconnected', gamepad: this.snapshotGamepad(pad) });
+      }
+    });
+  }
+  
+  // ============ ACTIONS & AXES ============
+  defineAction(name, bindings) {
+    bindings.forEach(parseBinding); // fail fast on typos
+    this.actions.set(name, {
+      bindings: [...bindings],
+      defaults: [...bindings],
+      down: false,
+      pressed: false,
+      released: false,
+      value: 0
+    });
+    return this.findConflicts(bindings, name);
+  }
+  
+  // definition: { negative: [...], positive: [...], analog: ['gamepad:leftStickX'] }
+  defineAxis(name, definition) {
+    const axis = {
+      negative: [...(definition.negative || [])],
+      positive: [...(definition.positive || [])],
+      analog: [...(definition.analog || [])]
+    };
+    [...axis.negative, ...axis.positive, ...axis.analog].forEach(parseBinding);
+    axis.defaults = { negative: [...axis.negative], positive: [...axis.positive], analog: [...axis.analog] };
+    this.axes.set(name, axis);
+    return this.findConflicts([...axis.negative, ...axis.positive, ...axis.analog], name);
+  }
+  
+  // x and y are axis names or inline axis definitions (stored as 'name.x' and 'name.y')
+  defineAxis2D(name, definition) {
+    const resolve = (component) => {
+      const value = definition[component];
+      if (typeof value === 'string') return value;
+      this.defineAxis(`${name}.${component}`, value);
+      return `${name}.${component}`;
+    };
+    this.axes2D.set(name, { x: resolve('x'), y: resolve('y') });
+  }
+  
+  isActionDown(name) {
+    const action = this.actions.get(name);
+    return action ? action.down : false;
+  }
+  
+  isActionPressed(name) {
+    const action = this.actions.get(name);
+    return action ? action.pressed : false;
+  }
+  
+  isActionReleased(name) {
+    const action = this.actions.get(name);
+    return action ? action.released : false;
+  }
+  
+  // 0..1, e.g. how far an analog trigger bound to the action is pulled
+  getActionValue(name) {
+    const action = this.actions.get(name);
+    return action ? action.value : 0;
+  }
+  
+  getNamedAxis(name) {
+    const axis = this.axes.get(name);
+    if (!axis) return 0;
+    
+    const max = (bindings) => bindings.reduce((best, binding) => Math.max(best, this.readBinding(binding).value), 0);
+    const digital = max(axis.positive) - max(axis.negative);
+    const analog = axis.analog.reduce((best, binding) => {
+      const value = this.readBinding(binding).value;
+      return Math.abs(value) > Math.abs(best) ? value : best;
+    }, 0);
+    
+    const value = Math.abs(analog) > Math.abs(digital) ? analog : digital;
+    return Math.max(-1, Math.min(1, value));
+  }
+  
+  // { x, y } with diagonals clamped to length 1
+  getAxis2D(name) {
+    const axes = this.axes2D.get(name);
+    if (!axes) return { x: 0, y: 0 };
+    
+    const x = this.getNamedAxis(axes.x);
+    const y = this.getNamedAxis(axes.y);
+    const length = Math.sqrt(x * x + y * y);
+    return length > 1 ? { x: x / length, y: y / length } : { x, y };
+  }
+  
+  // Current value (0..1, or -1..1 for sticks) and edges of one binding
+  readBinding(binding) {
+    const { device, code, player } = parseBinding(binding);
+    switch (device) {
+      case 'key':
+        return { value: this.keys[code] ? 1 : 0, pressed: !!this.keysPressed[code], released: !!this.keysReleased[code] };
+      case 'mouse':
+        return { value: this.mouse.buttons[code] ? 1 : 0, pressed: !!this.mouse.pressed[code], released: !!this.mouse.released[code] };
+      case 'gamepadButton':
+        return this.buttonState(player, code);
+      case 'gamepadAxis': {
+        const stick = this.getStick(player, code < 2 ? 'left' : 'right');
+        return { value: code % 2 === 0 ? stick.x : stick.y, pressed: false, released: false };
+      }
+      case 'virtual':
+        return this.virtual.read(code);
+    }
+  }
+  
+  // Actions are resolved once per frame so every system sees the same edges
+  updateActions() {
+    this.actions.forEach(action => {
+      const wasDown = action.down;
+      let value = 0;
+      let pressed = false;
+      let released = false;
+      action.bindings.forEach(binding => {
+        const state = this.readBinding(binding);
+        value = Math.max(value, Math.abs(state.value));
+        pressed = pressed || state.pressed;
+        released = released || state.released;
+      });
+      
+      action.value = value;
+      action.down = value >= 0.5;
+      // A tap shorter than a frame still counts as pressed and released
+      action.pressed = !wasDown && (action.down || pressed);
+      action.released = !action.down && (wasDown || released);
+    });
+  }
+  
+  // ============ REBINDING ============
+  // Current bindings of an action (array) or axis ({ negative, positive, analog })
+  getBindings(name) {
+    if (this.actions.has(name)) return [...this.actions.get(name).bindings];
+    const axis = this.axes.get(name);
+    return axis ? { negative: [...axis.negative], positive: [...axis.positive], analog: [...axis.analog] } : null;
+  }
+  
+  setBindings(name, bindings) {
+    const list = Array.isArray(bindings) ? bindings : [...(bindings.negative || []), ...(bindings.positive || []), ...(bindings.analog || [])];
+    list.forEach(parseBinding);
+    
+    if (this.actions.has(name)) {
+      this.actions.get(name).bindings = [...bindings];
+    } else if (this.axes.has(name)) {
+      const axis = this.axes.get(name);
+      ['negative', 'positive', 'analog'].forEach(side => {
+        if (bindings[side]) axis[side] = [...bindings[side]];
+      });
+    } else {
+      throw new Error(`Unknown input action or axis: ${name}`);
+    }
+    
+    this.engine.events.emit('input:rebind', { name, bindings: this.getBindings(name) });
+    return this.findConflicts(list, name);
+  }
+  
+  // Replace one binding (or add one when oldBinding is null). Returns the other
+  // actions/axes that already use newBinding; the rebind happens either way.
+  rebind(name, oldBinding, newBinding) {
+    parseBinding(newBinding);
+    const lists = this.actions.has(name)
+      ? [this.actions.get(name).bindings]
+      : this.axes.has(name) ? ['negative', 'positive', 'analog'].map(side => this.axes.get(name)[side]) : null;
+    if (!lists) throw new Error(`Unknown input action or axis: ${name}`);
+    
+    const list = oldBinding === null
+      ? lists[0]
+      : lists.find(bindings => bindings.some(binding => bindingId(binding) === bindingId(oldBinding)));
+    if (!list) throw new Error(`"${oldBinding}" is not bound to ${name}`);
+    
+    const index = oldBinding === null ? -1 : list.findIndex(binding => bindingId(binding) === bindingId(oldBinding));
+    index > -1 ? list.splice(index, 1, newBinding) : list.push(newBinding);
+    
+    this.engine.events.emit('input:rebind', { name, bindings: this.getBindings(name) });
+    return this.findConflicts([newBinding], name);
+  }
+  
+  resetBindings(name) {
+    const reset = (key) => {
+      if (this.actions.has(key)) {
+        const action = this.actions.get(key);
+        action.bindings = [...action.defaults];
+      } else if (this.axes.has(key)) {
+        const axis = this.axes.get(key);
+        ['negative', 'positive', 'analog'].forEach(side => { axis[side] = [...axis.defaults[side]]; });
+      }
+    };
+    name ? reset(name) : [...this.actions.keys(), ...this.axes.keys()].forEach(reset);
+    this.engine.events.emit('input:rebind', { name: name || null });
+  }
+  
+  // Every binding used by more than one action or axis: [{ binding, names }]
+  getConflicts() {
+    const owners = new Map();
+    const add = (binding, name) => {
+      const id = bindingId(binding);
+      if (!owners.has(id)) owners.set(id, { binding, names: [] });
+      if (!owners.get(id).names.includes(name)) owners.get(id).names.push(name);
+    };
+    this.actions.forEach((action, name) => action.bindings.forEach(binding => add(binding, name)));
+    this.axes.forEach((axis, name) => {
+      [...axis.negative, ...axis.positive, ...axis.analog].forEach(binding => add(binding, name));
+    });
+    return Array.from(owners.values()).filter(owner => owner.names.length > 1);
+  }
+  
+  // Other actions/axes already using any of these bindings
+  findConflicts(bindings, name) {
+    const ids = bindings.map(bindingId);
+    const conflicts = [];
+    this.getConflicts().forEach(conflict => {
+      if (!ids.includes(bindingId(conflict.binding)) || !conflict.names.includes(name)) return;
+      conflict.names.forEach(other => {
+        if (other !== name && !conflicts.includes(other)) conflicts.push(other);
+      });
+    });
+    
+    if (conflicts.length > 0) {
+      this.engine.logger.warn(`Input binding conflict: ${name} shares bindings with ${conflicts.join(', ')}`);
+      this.engine.events.emit('input:conflict', { name, conflicts });
+    }
+    return conflicts;
+  }
+  
+  // Resolves with the next key, mouse or gamepad button pressed, as a binding
+  // string, for "press a key" menus. Cancel bindings resolve with null.
+  captureBinding(options = {}) {
+    if (this.capture) this.capture.resolve(null);
+    const cancel = (options.cancel || ['Escape']).map(bindingId);
+    return new Promise(resolve => {
+      this.capture = { resolve, cancel };
+    });
+  }
+  
+  updateCapture() {
+    let binding = null;
+    const key = Object.keys(this.keysPressed)[0];
+    const button = Object.keys(this.mouse.pressed)[0];
+    
+    if (key !== undefined) binding = keyBinding(key);
+    else if (button !== undefined) binding = `mouse:${button}`;
+    else {
+      this.gamepads.some((gamepad, player) => {
+        const index = gamepad ? gamepad.buttons.findIndex((b, i) => this.buttonState(player, i).pressed) : -1;
+        if (index > -1) binding = `gamepad${player || ''}:${GAMEPAD_BUTTON_NAMES[index] || index}`;
+        return index > -1;
+      });
+    }
+    if (binding === null) return;
+    
+    const capture = this.capture;
+    this.capture = null;
+    capture.resolve(capture.cancel.includes(bindingId(binding)) ? null : binding);
+  }
+  
+  // ============ PERSISTENCE ============
+  async saveBindings(key = 'input_bindings') {
+    const actions = {};
+    const axes = {};
+    this.actions.forEach((action, name) => { actions[name] = [...action.bindings]; });
+    this.axes.forEach((axis, name) => { axes[name] = this.getBindings(name); });
+    await this.engine.storage.save(key, { version: 1, actions, axes });
+  }
+  
+  // Applies saved bindings to actions/axes defined so far; false if nothing was saved
+  async loadBindings(key = 'input_bindings') {
+    const saved = await this.engine.storage.load(key);
+    if (!saved) return false;
+    
+    Object.entries({ ...saved.actions, ...saved.axes }).forEach(([name, bindings]) => {
+      if (!this.actions.has(name) && !this.axes.has(name)) {
+        this.engine.logger.warn(`Saved bindings for unknown input: ${name}`);
+        return;
+      }
+      try {
+        this.setBindings(name, bindings);
+      } catch (error) {
+        this.engine.logger.warn(`Ignoring saved bindings for ${name}: ${error.message}`);
+      }
+    });
+    return true;
+  }
+}
+
+function createMouse() {
+  return {
+    x: 0, y: 0,
+    buttons: {}, pressed: {}, released: {},
+    deltaX: 0, deltaY: 0, // movement this frame
+    wheelX: 0, wheelY: 0 // scroll this frame
+  };
+}
@@ -0,0 +1,57 @@
+// ============ LOGGER SYSTEM ============
+export class Logger {
+  constructor(engine) {
+    this.engine = engine;
+    this.logs = [];
+    this.maxLogs = 100;
+    this.logLevel = 'debug'; // 'debug', 'info', 'warn', 'error'
+    this.levels = { debug: 0, info: 1, warn: 2, error: 3 };
+    this.callbacks = [];
+  }
+  
+  log(level, message, data) {
+    if (this.levels[level] < this.levels[this.logLevel]) return;
+    
+    const log = {
+      level,
+      message,
+      data,
+      timestamp: new Date().toISOString(),
+      frame: this.engine.frameCount
+    };
+    
+    this.logs.push(log);
+    if (this.logs.length > this.maxLogs) {
+      this.logs.shift();
+    }
+    
+    // Console output
+    const consoleMethod = console[level] || console.log;
+    consoleMethod(`[CubieGameJS] [${level.toUpperCase()}] ${message}`, data || '');
+    
+    // Callbacks
+    this.callbacks.forEach(cb => cb(log));
+  }
+  
+  debug(message, data) { this.log('debug', message, data); }
+  info(message, data) { this.log('info', message, data); }
+  warn(message, data) { this.log('warn', message, data); }
+  error(message, data) { this.log('error', message, data); }
+  success(message, data) { this.log('info', `✓ ${message}`, data); }
+  
+  onLog(callback) {
+    this.callbacks.push(callback);
+  }
+  
+  setLevel(level) {
+    this.logLevel = level;
+  }
+  
+  getLogs(level = null) {
+    return level ? this.logs.filter(l => l.level === level) : this.logs;
+  }
+  
+  clear() {
+    this.logs = [];
+  }
+}
@@ -0,0 +1,32 @@
+// ============ NULL RENDERER ============
+// Stands in for THREE.WebGLRenderer in headless mode: same surface, no GPU.
+export class NullRenderer {
+  constructor() {
+    this.domElement = null;
+    this.shadowMap = { enabled: false, type: null };
+    this.info = {
+      render: { calls: 0, triangles: 0 },
+      memory: { geometries: 0, textures: 0 }
+    };
+    this.width = 0;
+    this.height = 0;
+    this.pixelRatio = 1;
+  }
+  
+  render(scene, camera) {
+    // Keep world matrices current so game logic can read world transforms
+    if (scene && scene.updateMatrixWorld) scene.updateMatrixWorld();
+    if (camera && camera.updateMatrixWorld) camera.updateMatrixWorld();
+  }
+  
+  setSize(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+  
+  setPixelRatio(pixelRatio) {
+    this.pixelRatio = pixelRatio;
+  }
+  
+  dispose() {}
+}
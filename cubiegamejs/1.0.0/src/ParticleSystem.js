@@ -0,0 +1,119 @@
+import * as THREE from 'three';
+
+// ============ PARTICLE SYSTEM ============
+export class ParticleSystem {
+  constructor(engine) {
+    this.engine = engine;
+    this.emitters = [];
+    this.ignoreTimeScale = false;
+  }
+  
+  createEmitter(options = {}) {
+    const emitter = {
+      position: options.position || { x: 0, y: 0, z: 0 },
+      rate: options.rate || 10,
+      lifetime: options.lifetime || 2,
+      velocity: options.velocity || { x: 0, y: 1, z: 0 },
+      velocityVariance: options.velocityVariance || { x: 0.5, y: 0.5, z: 0.5 },
+      color: options.color || 0xffffff,
+      size: options.size || 0.1,
+      sizeEnd: options.sizeEnd || 0,
+      alpha: options.alpha || 1,
+      alphaEnd: options.alphaEnd || 0,
+      particles: [],
+      timer: 0,
+      maxParticles: options.maxParticles || 1000,
+      enabled: true,
+      scene: this.engine.scenes.target,
+      random: options.random || this.engine.random.stream('particles')
+    };
+    
+    if (this.engine.config.mode === '3d') {
+      const geometry = new THREE.BufferGeometry();
+      const material = new THREE.PointsMaterial({
+        color: emitter.color,
+        size: emitter.size,
+        transparent: true,
+        opacity: emitter.alpha,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+      });
+      
+      emitter.system = new THREE.Points(geometry, material);
+      emitter.scene.object3d.add(emitter.system);
+    }
+    
+    this.emitters.push(emitter);
+    this.engine.logger.debug('Particle emitter created');
+    return emitter;
+  }
+  
+  update(dt) {
+    this.emitters.forEach(emitter => {
+      if (!emitter.enabled) return;
+      if (emitter.scene && !emitter.scene.isUpdating()) return;
+      
+      emitter.timer += dt;
+      
+      // Spawn particles
+      while (emitter.timer > 1 / emitter.rate && emitter.particles.length < emitter.maxParticles) {
+        emitter.timer -= 1 / emitter.rate;
+        emitter.particles.push({
+          position: { ...emitter.position },
+          velocity: {
+            x: emitter.velocity.x + (emitter.random.next() - 0.5) * emitter.velocityVariance.x * 2,
+            y: emitter.velocity.y + (emitter.random.next() - 0.5) * emitter.velocityVariance.y * 2,
+            z: emitter.velocity.z + (emitter.random.next() - 0.5) * emitter.velocityVariance.z * 2
+          },
+          life: emitter.lifetime,
+          maxLife: emitter.lifetime
+        });
+      }
+      
+      // Update particles
+      const positions = [];
+      const sizes = [];
+      const colors = [];
+      
+      emitter.particles = emitter.particles.filter(particle => {
+        particle.life -= dt;
+        if (particle.life <= 0) return false;
+        
+        particle.position.x += particle.velocity.x * dt;
+        particle.position.y += particle.velocity.y * dt;
+        particle.position.z += particle.velocity.z * dt;
+        
+        const t = 1 - (particle.life / particle.maxLife);
+        const size = emitter.size + (emitter.sizeEnd - emitter.size) * t;
+        
+        positions.push(particle.position.x, particle.position.y, particle.position.z);
+        sizes.push(size);
+        
+        return true;
+      });
+      
+      if (this.engine.config.mode === '3d' && emitter.system) {
+        emitter.system.geometry.setAttribute(
+          'position',
+          new THREE.Float32BufferAttribute(positions, 3)
+        );
+      }
+    });
+  }
+  
+  removeEmitter(emitter) {
+    const index = this.emitters.indexOf(emitter);
+    if (index > -1) {
+      if (emitter.system) {
+        if (emitter.system.parent) emitter.system.parent.remove(emitter.system);
+        emitter.system.geometry.dispose();
+        emitter.system.material.dispose();
+      }
+      this.emitters.splice(index, 1);
+    }
+  }
+  
+  destroy() {
+    [...this.emitters].forEach(emitter => this.removeEmitter(emitter));
+  }
+}
@@ -0,0 +1,66 @@
+import { now } from './platform.js';
+
+// ============ PERFORMANCE MONITOR ============
+export class PerformanceMonitor {
+  constructor(engine) {
+    this.engine = engine;
+    this.fps = 0;
+    this.frameTime = 0;
+    this.memory = 0;
+    this.drawCalls = 0;
+    this.triangles = 0;
+    this.lastTime = now();
+    this.frames = 0;
+    this.fpsUpdateInterval = 0.5;
+    this.fpsTimer = 0;
+  }
+  
+  start() {
+    this.lastTime = now();
+  }
+  
+  update() {
+    const time = now();
+    this.frameTime = time - this.lastTime;
+    this.lastTime = time;
+    
+    this.frames++;
+    this.fpsTimer += this.engine.unscaledDeltaTime;
+    
+    if (this.fpsTimer >= this.fpsUpdateInterval) {
+      this.fps = Math.round(this.frames / this.fpsTimer);
+      this.frames = 0;
+      this.fpsTimer = 0;
+    }
+    
+    // Memory (Chrome only)
+    if (typeof performance !== 'undefined' && performance.memory) {
+      this.memory = Math.round(performance.memory.usedJSHeapSize / 1048576); // MB
+    }
+    
+    // Render stats (3D only)
+    if (this.engine.renderer && this.engine.renderer.info) {
+      const info = this.engine.renderer.info;
+      this.drawCalls = info.render.calls;
+      this.triangles = info.render.triangles;
+    }
+  }
+  
+  getStats() {
+    const physics = this.engine.physics.stats;
+    return {
+      fps: this.fps,
+      frameTime: this.frameTime.toFixed(2),
+      memory: this.memory,
+      drawCalls: this.drawCalls,
+      triangles: this.triangles,
+      entities: this.engine.entities.size,
+      systems: this.engine.systems.size,
+      bodies: physics.bodies,
+      activeBodies: physics.activeBodies, // non-static bodies in updating scenes
+      pairs: physics.pairs, // broadphase candidates sent to the narrowphase
+      contacts: physics.contacts,
+      broadphaseTime: physics.broadphaseTime.toFixed(2)
+    };
+  }
+}
@@ -0,0 +1,538 @@
+import { createCollider, worldShape, shapeBounds, collide } from './Colliders.js';
+import { createBroadphase } from './Broadphase.js';
+import { now } from './platform.js';
+
+// ============ PHYSICS SYSTEM ============
+export class PhysicsSystem {
+  constructor(engine) {
+    this.engine = engine;
+    this.gravity = -9.8;
+    this.bodies = [];
+    this.enabled = true;
+    this.ignoreTimeScale = false;
+    this.broadphase = createBroadphase(engine.config.broadphase || 'sap');
+    // Contact solver
+    this.iterations = 8; // velocity passes over all contacts per step
+    this.positionIterations = 3; // overlap-removal passes per step
+    this.slop = 0.01; // overlap left alone so resting contacts stay touching
+    this.correction = 0.8; // share of the remaining overlap removed per step
+    this.restitutionThreshold = 1; // slower impacts don't bounce, so stacks settle
+    this.warmStarting = true; // start from last step's impulses for steadier stacks
+    this.impulses = new Map(); // 'idA:idB' -> last step's accumulated impulses
+    this.touching = new Map(); // 'idA:idB' -> pair touching after the last step
+    this.nextBodyId = 1;
+    // Legacy floor: bodies below this y bounce back up without any collider.
+    // null (default) turns it off; set 0 for the behaviour before colliders
+    this.groundPlane = engine.config.groundPlane !== undefined ? engine.config.groundPlane : null;
+    // Collision layers: layer i is bit 1 << i, layerMasks[i] the layers it collides with
+    this.layers = [];
+    this.layerMasks = [];
+    this.setLayers(engine.config.layers || ['default'], engine.config.layerMatrix || {});
+    // Last step's numbers, for PerformanceMonitor
+    this.stats = { bodies: 0, activeBodies: 0, pairs: 0, contacts: 0, triggers: 0, broadphaseTime: 0 };
+  }
+  
+  // 'sap', 'hash', 'brute' or an object with findPairs(bodies, canPair)
+  setBroadphase(type, options = {}) {
+    this.broadphase = createBroadphase(type, options);
+    this.engine.logger.debug(`Physics broadphase: ${this.broadphase.type || 'custom'}`);
+  }
+  
+  // Pairs the narrowphase should look at: same scene, layers that collide,
+  // not two triggers, and not two immovable (static or kinematic) bodies
+  // unless a moving trigger is involved
+  canPair(bodyA, bodyB) {
+    if (bodyA.entity.scene !== bodyB.entity.scene) return false;
+    if (bodyA.trigger && bodyB.trigger) return false;
+    if (bodyA.isStatic && bodyB.isStatic) return false;
+    if (this.inverseMass(bodyA) === 0 && this.inverseMass(bodyB) === 0 && !bodyA.trigger && !bodyB.trigger) return false;
+    return (bodyA.layer & this.maskOf(bodyB)) !== 0 && (bodyB.layer & this.maskOf(bodyA)) !== 0;
+  }
+  
+  // ============ COLLISION LAYERS ============
+  // names: up to 32 layer names. matrix: { layer: [layers it collides with] };
+  // layers left out collide with everything. A pair collides only when each
+  // side accepts the other.
+  setLayers(names, matrix = {}) {
+    if (names.length > 32) throw new Error(`Too many collision layers: ${names.length} (max 32)`);
+    this.layers = [...names];
+    this.setLayerMatrix(matrix);
+  }
+  
+  setLayerMatrix(matrix) {
+    this.layerMasks = this.layers.map(() => ~0);
+    Object.entries(matrix).forEach(([name, others]) => {
+      this.layerMasks[this.layerIndex(name)] = this.layerBits(others);
+    });
+  }
+  
+  setLayerCollision(layerA, layerB, enabled = true) {
+    const a = this.layerIndex(layerA);
+    const b = this.layerIndex(layerB);
+    if (enabled) {
+      this.layerMasks[a] |= 1 << b;
+      this.layerMasks[b] |= 1 << a;
+    } else {
+      this.layerMasks[a] &= ~(1 << b);
+      this.layerMasks[b] &= ~(1 << a);
+    }
+  }
+  
+  layersCollide(layerA, layerB) {
+    const a = this.layerIndex(layerA);
+    const b = this.layerIndex(layerB);
+    return (this.layerMasks[a] & (1 << b)) !== 0 && (this.layerMasks[b] & (1 << a)) !== 0;
+  }
+  
+  layerIndex(name) {
+    const index = this.layers.indexOf(name);
+    if (index === -1) throw new Error(`Unknown collision layer: ${name}`);
+    return index;
+  }
+  
+  // Bitfield from a layer name, an array of names, or bits as they are
+  layerBits(value) {
+    if (typeof value === 'number') return value;
+    if (Array.isArray(value)) return value.reduce((bits, name) => bits | this.layerBits(name), 0);
+    return 1 << this.layerIndex(value);
+  }
+  
+  // The body's own mask, or what the matrix gives its layers
+  maskOf(body) {
+    if (body.mask !== null) return body.mask;
+    let mask = 0;
+    this.layerMasks.forEach((layerMask, i) => {
+      if (body.layer & (1 << i)) mask |= layerMask;
+    });
+    return mask;
+  }
+  
+  addBody(entity, config = {}) {
+    const body = {
+      id: this.nextBodyId++,
+      entity,
+      velocity: config.velocity || { x: 0, y: 0, z: 0 },
+      acceleration: config.acceleration || { x: 0, y: 0, z: 0 },
+      mass: config.mass || 1,
+      useGravity: config.useGravity !== undefined ? config.useGravity : true,
+      isStatic: config.isStatic || false,
+      isKinematic: config.isKinematic || false, // moved by its velocity only, pushes but is never pushed
+      restitution: config.restitution !== undefined ? config.restitution : 0.5,
+      friction: config.friction !== undefined ? config.friction : 0.5,
+      drag: config.drag !== undefined ? config.drag : 0.01,
+      layer: config.layer !== undefined ? this.layerBits(config.layer) : 1,
+      mask: config.mask !== undefined ? this.layerBits(config.mask) : null, // null: from the layer matrix
+      trigger: config.trigger || false, // reports overlaps, never pushes or gets pushed
+      collider: createCollider(config, entity),
+      radius: config.radius || 1,
+      bounds: config.bounds || null,
+      shape: null, // world-space collider, refreshed every step
+      aabb: null // world bounds of shape, for the broadphase
+    };
+    this.bodies.push(body);
+    this.engine.logger.debug(`Physics body added to: ${entity.name}`);
+    return body;
+  }
+  
+  // Pairs the body was in end now, not on the next step, so an entity
+  // destroyed inside a contact handler gets no late Exit
+  removeBody(entity) {
+    const body = this.getBody(entity);
+    if (!body) return;
+    this.bodies = this.bodies.filter(b => b !== body);
+    
+    this.impulses.forEach((impulse, key) => {
+      if (key.split(':').includes(String(body.id))) this.impulses.delete(key);
+    });
+    const ended = [];
+    this.touching.forEach((pair, key) => {
+      if (pair.bodyA !== body && pair.bodyB !== body) return;
+      this.touching.delete(key);
+      ended.push(pair);
+    });
+    ended.forEach(pair => {
+      const kind = pair.trigger ? 'trigger' : 'collision';
+      this.emitContact(`${kind}Exit`, { ...pair, relativeVelocity: relativeVelocity(pair.bodyA, pair.bodyB) });
+    });
+  }
+  
+  getBody(entity) {
+    return this.bodies.find(b => b.entity === entity);
+  }
+  
+  // Plain config that recreates this body (current velocity included) via addBody
+  getBodyConfig(body) {
+    return {
+      velocity: { ...body.velocity },
+      acceleration: { ...body.acceleration },
+      mass: body.mass,
+      useGravity: body.useGravity,
+      isStatic: body.isStatic,
+      isKinematic: body.isKinematic,
+      restitution: body.restitution,
+      friction: body.friction,
+      drag: body.drag,
+      layer: body.layer,
+      mask: body.mask !== null ? body.mask : undefined,
+      trigger: body.trigger,
+      collider: { ...body.collider },
+      radius: body.radius,
+      bounds: body.bounds ? { ...body.bounds } : null
+    };
+  }
+  
+  // 0 for static and kinematic bodies, which contacts can't move
+  inverseMass(body) {
+    return body.isStatic || body.isKinematic ? 0 : 1 / body.mass;
+  }
+  
+  // Bodies in unloaded or inactive scenes (without runInBackground) are frozen
+  isSimulated(body) {
+    const scene = body.entity.scene;
+    return !scene || scene.isUpdating();
+  }
+  
+  update(dt) {
+    if (!this.enabled) return;
+    
+    const bodies = this.bodies.filter(body => this.isSimulated(body));
+    
+    bodies.forEach(body => {
+      if (body.isStatic) return;
+      
+      // Remember where this step started for render interpolation
+      body.previousPosition = body.entity.position.get();
+      
+      // Kinematic bodies follow their velocity alone: no gravity, forces or drag
+      if (body.isKinematic) {
+        const pos = body.entity.position.get();
+        pos.x += body.velocity.x * dt;
+        pos.y += body.velocity.y * dt;
+        if (pos.z !== undefined) pos.z += body.velocity.z * dt;
+        body.entity.position.set(pos);
+        return;
+      }
+      
+      // Apply gravity
+      if (body.useGravity) {
+        body.acceleration.y = this.gravity;
+      }
+      
+      // Update velocity
+      body.velocity.x += body.acceleration.x * dt;
+      body.velocity.y += body.acceleration.y * dt;
+      body.velocity.z += body.acceleration.z * dt;
+      
+      // Apply drag
+      body.velocity.x *= (1 - body.drag);
+      body.velocity.y *= (1 - body.drag);
+      body.velocity.z *= (1 - body.drag);
+      
+      // Update position
+      const pos = body.entity.position.get();
+      pos.x += body.velocity.x * dt;
+      pos.y += body.velocity.y * dt;
+      pos.z += body.velocity.z * dt;
+      body.entity.position.set(pos);
+      
+      // Opt-in ground clamp
+      if (this.groundPlane !== null && pos.y < this.groundPlane) {
+        pos.y = this.groundPlane;
+        body.velocity.y = -body.velocity.y * body.restitution;
+        body.velocity.x *= (1 - body.friction);
+        body.velocity.z *= (1 - body.friction);
+        body.entity.position.set(pos);
+      }
+      
+      // Bounds collision
+      if (body.bounds) {
+        if (pos.x < body.bounds.minX) { pos.x = body.bounds.minX; body.velocity.x *= -body.restitution; }
+        if (pos.x > body.bounds.maxX) { pos.x = body.bounds.maxX; body.velocity.x *= -body.restitution; }
+        if (pos.z < body.bounds.minZ) { pos.z = body.bounds.minZ; body.velocity.z *= -body.restitution; }
+        if (pos.z > body.bounds.maxZ) { pos.z = body.bounds.maxZ; body.velocity.z *= -body.restitution; }
+        body.entity.position.set(pos);
+      }
+      
+      // Reset acceleration
+      body.acceleration.x = 0;
+      body.acceleration.y = 0;
+      body.acceleration.z = 0;
+    });
+    
+    // Collision detection
+    bodies.forEach(body => {
+      body.shape = worldShape(body.collider, body.entity);
+      body.aabb = shapeBounds(body.shape);
+    });
+    
+    const start = now();
+    const pairs = this.broadphase.findPairs(bodies, (a, b) => this.canPair(a, b));
+    const broadphaseTime = now() - start;
+    
+    const manifolds = [];
+    const overlaps = [];
+    pairs.forEach(([bodyA, bodyB]) => {
+      const contact = this.checkCollision(bodyA, bodyB);
+      if (!contact) return;
+      if (bodyA.trigger || bodyB.trigger) {
+        overlaps.push({ key: `${bodyA.id}:${bodyB.id}`, bodyA, bodyB, contact, relativeVelocity: relativeVelocity(bodyA, bodyB) });
+      } else manifolds.push(this.createManifold(bodyA, bodyB, contact));
+    });
+    this.solve(manifolds);
+    this.impulses = new Map(manifolds.map(m => [m.key, { normal: m.normalImpulse, tangent: m.tangentImpulse }]));
+    
+    manifolds.forEach(({ bodyA, bodyB, contact }) => {
+      this.engine.events.emit('collision', { bodyA, bodyB, contact });
+    });
+    overlaps.forEach(({ bodyA, bodyB, contact }) => {
+      const [trigger, other] = bodyA.trigger ? [bodyA, bodyB] : [bodyB, bodyA];
+      this.engine.events.emit('trigger', { bodyA, bodyB, trigger, other, contact });
+    });
+    this.updateContacts(manifolds, overlaps, bodies);
+    
+    this.stats = {
+      bodies: this.bodies.length,
+      activeBodies: bodies.filter(body => !body.isStatic).length,
+      pairs: pairs.length,
+      contacts: manifolds.length,
+      triggers: overlaps.length,
+      broadphaseTime
+    };
+  }
+  
+  checkCollision(bodyA, bodyB) {
+    return collide(bodyA.shape, bodyB.shape);
+  }
+  
+  createManifold(bodyA, bodyB, contact) {
+    const normal = contact.normal;
+    const approach = relativeVelocity(bodyA, bodyB);
+    const normalSpeed = dot(approach, normal);
+    const restitution = Math.max(bodyA.restitution, bodyB.restitution);
+    return {
+      key: `${bodyA.id}:${bodyB.id}`,
+      bodyA,
+      bodyB,
+      contact,
+      inverseMassA: this.inverseMass(bodyA),
+      inverseMassB: this.inverseMass(bodyB),
+      friction: Math.sqrt(bodyA.friction * bodyB.friction),
+      // Closing speed to turn around, decided once from the impact speed
+      bounce: -normalSpeed > this.restitutionThreshold ? -normalSpeed * restitution : 0,
+      relativeVelocity: approach, // before solving, i.e. the impact velocity
+      normalImpulse: 0,
+      tangentImpulse: { x: 0, y: 0, z: 0 }
+    };
+  }
+  
+  // Sequential impulses: each pass nudges every contact towards not closing
+  // and not sliding beyond friction, with impulses accumulated per contact
+  // and clamped (normal >= 0, friction inside the Coulomb cone)
+  solve(manifolds) {
+    if (this.warmStarting) {
+      manifolds.forEach(manifold => {
+        const last = this.impulses.get(manifold.key);
+        if (!last || manifold.bounce > 0) return;
+        manifold.normalImpulse = last.normal;
+        manifold.tangentImpulse = { ...last.tangent };
+        applyImpulse(manifold, manifold.contact.normal, last.normal);
+        applyImpulse(manifold, last.tangent, 1);
+      });
+    }
+    
+    for (let iteration = 0; iteration < this.iterations; iteration++) {
+      manifolds.forEach(manifold => {
+        const { bodyA, bodyB, contact, inverseMassA, inverseMassB } = manifold;
+        const inverseMass = inverseMassA + inverseMassB;
+        if (inverseMass === 0) return;
+        const normal = contact.normal;
+        
+        // Normal impulse
+        let velocity = relativeVelocity(bodyA, bodyB);
+        const normalSpeed = dot(velocity, normal);
+        const previous = manifold.normalImpulse;
+        manifold.normalImpulse = Math.max(0, previous + (manifold.bounce - normalSpeed) / inverseMass);
+        applyImpulse(manifold, normal, manifold.normalImpulse - previous);
+        
+        // Friction impulse against the sliding direction
+        velocity = relativeVelocity(bodyA, bodyB);
+        const along = dot(velocity, normal);
+        const slide = {
+          x: velocity.x - normal.x * along,
+          y: velocity.y - normal.y * along,
+          z: velocity.z - normal.z * along
+        };
+        const old = manifold.tangentImpulse;
+        const tangent = {
+          x: old.x - slide.x / inverseMass,
+          y: old.y - slide.y / inverseMass,
+          z: old.z - slide.z / inverseMass
+        };
+        const limit = manifold.friction * manifold.normalImpulse;
+        const length = Math.sqrt(dot(tangent, tangent));
+        if (length > limit) {
+          const scale = length > 0 ? limit / length : 0;
+          tangent.x *= scale;
+          tangent.y *= scale;
+          tangent.z *= scale;
+        }
+        manifold.tangentImpulse = tangent;
+        applyImpulse(manifold, { x: tangent.x - old.x, y: tangent.y - old.y, z: tangent.z - old.z }, 1);
+      });
+    }
+    
+    // Remove most of the overlap, the lighter body moving further. Later
+    // passes re-measure, since pushing one contact apart deepens its neighbours
+    for (let iteration = 0; iteration < this.positionIterations; iteration++) {
+      manifolds.forEach(({ bodyA, bodyB, contact, inverseMassA, inverseMassB }) => {
+        const inverseMass = inverseMassA + inverseMassB;
+        if (inverseMass === 0) return;
+        const current = iteration === 0 ? contact : collide(bodyA.shape, bodyB.shape);
+        if (!current) return;
+        const depth = Math.max(0, current.depth - this.slop) * this.correction;
+        if (depth === 0) return;
+        this.separate(bodyA, current.normal, -depth * inverseMassA / inverseMass);
+        this.separate(bodyB, current.normal, depth * inverseMassB / inverseMass);
+      });
+    }
+  }
+  
+  // ============ CONTACT EVENTS ============
+  // Tracks touching pairs across steps and emits, on cubie.events and on both
+  // entities, collisionEnter / collisionStay / collisionExit (triggerEnter /
+  // triggerStay / triggerExit when a trigger is involved)
+  updateContacts(manifolds, overlaps, bodies) {
+    const simulated = new Set(bodies);
+    const previous = this.touching;
+    const touching = new Map();
+    manifolds.forEach(({ key, bodyA, bodyB, contact, relativeVelocity }) => {
+      touching.set(key, { key, bodyA, bodyB, contact, relativeVelocity, trigger: false });
+    });
+    overlaps.forEach(({ key, bodyA, bodyB, contact, relativeVelocity }) => {
+      touching.set(key, { key, bodyA, bodyB, contact, relativeVelocity, trigger: true });
+    });
+    
+    const events = [];
+    touching.forEach((pair, key) => {
+      const kind = pair.trigger ? 'trigger' : 'collision';
+      events.push([previous.has(key) ? `${kind}Stay` : `${kind}Enter`, pair]);
+    });
+    previous.forEach((pair, key) => {
+      if (touching.has(key)) return;
+      // A pair frozen with its scene is still touching when the scene resumes
+      // (pairs of removed bodies already ended in removeBody)
+      if (!simulated.has(pair.bodyA) || !simulated.has(pair.bodyB)) {
+        touching.set(key, pair);
+        return;
+      }
+      const kind = pair.trigger ? 'trigger' : 'collision';
+      events.push([`${kind}Exit`, { ...pair, relativeVelocity: relativeVelocity(pair.bodyA, pair.bodyB) }]);
+    });
+    
+    this.touching = touching;
+    // A handler may remove a body, which ends its pairs before their turn comes
+    events.forEach(([name, pair]) => {
+      if (name.endsWith('Exit') || this.touching.get(pair.key) === pair) this.emitContact(name, pair);
+    });
+  }
+  
+  // Globally the normal points from A to B and relativeVelocity is B's
+  // velocity relative to A; each entity gets them from its own side.
+  // Exit events carry the last contact seen. Removed entities hear nothing.
+  emitContact(name, pair) {
+    const { bodyA, bodyB, contact, relativeVelocity } = pair;
+    const { point, normal, depth } = contact;
+    this.engine.events.emit(name, { bodyA, bodyB, point, normal, depth, relativeVelocity });
+    if (bodyA.entity.scene) {
+      bodyA.entity.emit(name, {
+        other: bodyB.entity, body: bodyA, otherBody: bodyB,
+        point, normal, depth, relativeVelocity
+      });
+    }
+    if (bodyB.entity.scene) {
+      bodyB.entity.emit(name, {
+        other: bodyA.entity, body: bodyB, otherBody: bodyA,
+        point, normal: negate(normal), depth, relativeVelocity: negate(relativeVelocity)
+      });
+    }
+  }
+  
+  // Moves the body in world space, as contacts are, even when it has a parent
+  separate(body, normal, distance) {
+    if (distance === 0) return;
+    const pos = body.entity.position.getWorld();
+    pos.x += normal.x * distance;
+    pos.y += normal.y * distance;
+    if (pos.z !== undefined) pos.z += normal.z * distance;
+    body.entity.position.setWorld(pos);
+    body.shape = worldShape(body.collider, body.entity);
+    body.aabb = shapeBounds(body.shape);
+  }
+  
+  // Move bodies to their interpolated render position (alpha in [0, 1])
+  interpolate(alpha) {
+    this.bodies.forEach(body => {
+      if (body.isStatic || !body.previousPosition) return;
+      
+      const current = body.entity.position.get();
+      const previous = body.previousPosition;
+      body.simulatedPosition = current;
+      
+      const visual = {
+        x: previous.x + (current.x - previous.x) * alpha,
+        y: previous.y + (current.y - previous.y) * alpha
+      };
+      if (current.z !== undefined) {
+        visual.z = previous.z + (current.z - previous.z) * alpha;
+      }
+      body.entity.position.set(visual);
+    });
+  }
+  
+  // Put bodies back where the simulation left them after rendering
+  restore() {
+    this.bodies.forEach(body => {
+      if (!body.simulatedPosition) return;
+      body.entity.position.set(body.simulatedPosition);
+      body.simulatedPosition = null;
+    });
+  }
+  
+  applyForce(body, force) {
+    body.acceleration.x += force.x / body.mass;
+    body.acceleration.y += force.y / body.mass;
+    body.acceleration.z += force.z / body.mass;
+  }
+  
+  setGravity(gravity) {
+    this.gravity = gravity;
+  }
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function negate(v) {
+  return { x: -v.x, y: -v.y, z: -v.z };
+}
+
+// Velocity of B relative to A
+function relativeVelocity(bodyA, bodyB) {
+  return {
+    x: bodyB.velocity.x - bodyA.velocity.x,
+    y: bodyB.velocity.y - bodyA.velocity.y,
+    z: bodyB.velocity.z - bodyA.velocity.z
+  };
+}
+
+// Equal and opposite: B gets impulse * direction, A the reverse
+function applyImpulse(manifold, direction, impulse) {
+  const { bodyA, bodyB, inverseMassA, inverseMassB } = manifold;
+  bodyA.velocity.x -= direction.x * impulse * inverseMassA;
+  bodyA.velocity.y -= direction.y * impulse * inverseMassA;
+  bodyA.velocity.z -= direction.z * impulse * inverseMassA;
+  bodyB.velocity.x += direction.x * impulse * inverseMassB;
+  bodyB.velocity.y += direction.y * impulse * inverseMassB;
+  bodyB.velocity.z += direction.z * impulse * inverseMassB;
+}
@@ -0,0 +1,148 @@
+// ============ PREFAB SYSTEM ============
+// Reusable entity templates. A definition may contain:
+//   extends     name of a prefab to inherit from
+//   name        entity name (defaults to the prefab name)
+//   primitive   'box' | 'sphere' | 'plane' | 'cylinder' or { type, ...shape } (3D)
+//   sprite      { width, height, image, imageName, layer } (2D)
+//   material    { color, roughness, metalness, ... }
+//   physics     body config passed to physics.addBody
+//   position, rotation, scale, enabled, visible
+//   tags        array of tags
+//   components  { name: value }, values are copied per instance or built by value(entity)
+//   scripts     script objects (copied per instance) or factories script(entity)
+//   children    nested definitions, { prefab: 'name', ...overrides } for named prefabs
+export class PrefabSystem {
+  constructor(engine) {
+    this.engine = engine;
+    this.prefabs = new Map();
+  }
+  
+  define(name, definition = {}) {
+    if (this.prefabs.has(name)) {
+      this.engine.logger.warn(`Prefab replaced: ${name}`);
+    }
+    this.prefabs.set(name, definition);
+    this.engine.logger.debug(`Prefab defined: ${name}`);
+    return definition;
+  }
+  
+  get(name) {
+    return this.prefabs.get(name);
+  }
+  
+  has(name) {
+    return this.prefabs.has(name);
+  }
+  
+  list() {
+    return Array.from(this.prefabs.keys());
+  }
+  
+  remove(name) {
+    this.prefabs.delete(name);
+  }
+  
+  // Flattens the extends chain and applies overrides on top
+  resolve(name, overrides = {}, chain = []) {
+    const definition = this.prefabs.get(name);
+    if (!definition) {
+      this.engine.logger.error(`Unknown prefab: ${name}`);
+      throw new Error(`Unknown prefab: ${name}`);
+    }
+    if (chain.includes(name)) {
+      throw new Error(`Prefab inheritance cycle: ${[...chain, name].join(' -> ')}`);
+    }
+    
+    const base = definition.extends ? this.resolve(definition.extends, {}, [...chain, name]) : {};
+    const { extends: _, ...own } = definition;
+    return merge(merge(base, normalize(own)), normalize(overrides));
+  }
+  
+  spawn(name, overrides = {}) {
+    const definition = this.resolve(name, overrides);
+    return this.instantiate(definition, name);
+  }
+  
+  instantiate(definition, prefabName = null, parent = null) {
+    const engine = this.engine;
+    const name = definition.name || prefabName;
+    const material = definition.material || {};
+    let entity;
+    
+    if (definition.primitive) {
+      const { type, ...shape } = definition.primitive;
+      const factory = engine.primitive[type];
+      if (!factory || engine.config.mode === '2d') {
+        throw new Error(`Prefab "${prefabName || name}" uses primitive "${type}", which is not available in ${engine.config.mode} mode`);
+      }
+      entity = factory(name, { ...shape, ...material, parent, duplicateNames: definition.duplicateNames });
+    } else if (definition.sprite) {
+      entity = engine.sprite.create(name, { ...definition.sprite, parent, duplicateNames: definition.duplicateNames });
+    } else {
+      entity = engine.entity.create(name, { parent, duplicateNames: definition.duplicateNames });
+    }
+    
+    entity.prefab = prefabName;
+    if (definition.position) entity.position.set(definition.position);
+    if (definition.rotation !== undefined) entity.rotate.set(definition.rotation);
+    if (definition.scale !== undefined) entity.scale.set(definition.scale);
+    if (definition.enabled !== undefined) entity.enabled = definition.enabled;
+    if (definition.visible !== undefined) entity.visible = definition.visible;
+    if (definition.physics) engine.physics.addBody(entity, clone(definition.physics));
+    
+    (definition.tags || []).forEach(tag => entity.addTag(tag));
+    
+    Object.entries(definition.components || {}).forEach(([componentName, value]) => {
+      entity.addComponent(componentName, typeof value === 'function' ? value(entity) : clone(value));
+    });
+    
+    (definition.children || []).forEach(child => {
+      const { prefab, ...childOverrides } = child;
+      const childDefinition = prefab ? this.resolve(prefab, childOverrides) : normalize(child);
+      this.instantiate(childDefinition, prefab || null, entity);
+    });
+    
+    // Scripts last so init() sees components and children
+    (definition.scripts || []).forEach(script => {
+      entity.addScript(typeof script === 'function' ? script(entity) : { ...script });
+    });
+    
+    engine.events.emit('prefab:spawn', { entity, prefab: prefabName });
+    return entity;
+  }
+}
+
+// 'sphere' is shorthand for { type: 'sphere' }, so shape overrides keep the type
+function normalize(definition) {
+  if (typeof definition.primitive !== 'string') return definition;
+  return { ...definition, primitive: { type: definition.primitive } };
+}
+
+// Plain objects merge recursively; tags and scripts accumulate; anything else is replaced
+function merge(base, override) {
+  const result = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    if ((key === 'tags' || key === 'scripts') && Array.isArray(base[key])) {
+      result[key] = [...base[key], ...value];
+    } else if (isPlainObject(value) && isPlainObject(base[key])) {
+      result[key] = merge(base[key], value);
+    } else {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    const copy = {};
+    Object.entries(value).forEach(([key, item]) => { copy[key] = clone(item); });
+    return copy;
+  }
+  return value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
@@ -0,0 +1,122 @@
+// ============ COMPONENT QUERIES ============
+// A live list of the entities that have every listed component.
+export class Query {
+  constructor(components) {
+    this.components = components;
+    this.entities = []; // same array for the query's lifetime; safe to keep a reference
+    this.indices = new Map();
+    // While a system runs, removals wait here so its forEach visits everyone
+    this.deferred = false;
+    this.pending = new Set();
+  }
+  
+  matches(entity) {
+    return this.components.every(name => entity.components.has(name));
+  }
+  
+  add(entity) {
+    if (this.indices.has(entity)) {
+      this.pending.delete(entity);
+      return;
+    }
+    this.indices.set(entity, this.entities.length);
+    this.entities.push(entity);
+  }
+  
+  remove(entity) {
+    const index = this.indices.get(entity);
+    if (index === undefined) return;
+    if (this.deferred) {
+      this.pending.add(entity);
+      return;
+    }
+    
+    // Swap-remove keeps removal O(1); order is not preserved
+    const last = this.entities.pop();
+    if (last !== entity) {
+      this.entities[index] = last;
+      this.indices.set(last, index);
+    }
+    this.indices.delete(entity);
+  }
+  
+  flush() {
+    this.deferred = false;
+    const pending = Array.from(this.pending);
+    this.pending.clear();
+    pending.forEach(entity => this.remove(entity));
+  }
+  
+  refresh(entity) {
+    if (this.matches(entity)) {
+      this.add(entity);
+    } else {
+      this.remove(entity);
+    }
+  }
+}
+
+// Per-scene cache of queries, updated as entities and components change
+export class QueryIndex {
+  constructor(scene) {
+    this.scene = scene;
+    this.queries = new Map();
+    this.deferring = 0;
+  }
+  
+  static key(components) {
+    return [...components].sort().join('|');
+  }
+  
+  get(components) {
+    const key = QueryIndex.key(components);
+    let query = this.queries.get(key);
+    if (!query) {
+      query = new Query([...components]);
+      query.deferred = this.deferring > 0;
+      this.scene.entities.forEach(entity => {
+        if (query.matches(entity)) query.add(entity);
+      });
+      this.queries.set(key, query);
+    }
+    return query;
+  }
+  
+  // Runs fn (a system) with removals from every list held back until it
+  // returns, so destroying entities mid-forEach never skips the ones after
+  defer(fn) {
+    this.deferring++;
+    this.queries.forEach(query => { query.deferred = true; });
+    try {
+      return fn();
+    } finally {
+      this.deferring--;
+      if (this.deferring === 0) this.queries.forEach(query => query.flush());
+    }
+  }
+  
+  add(entity) {
+    this.queries.forEach(query => {
+      if (query.matches(entity)) query.add(entity);
+    });
+  }
+  
+  remove(entity) {
+    this.queries.forEach(query => query.remove(entity));
+  }
+  
+  // Only queries that mention the changed component need re-checking
+  componentChanged(entity, name) {
+    this.queries.forEach(query => {
+      if (query.components.includes(name)) query.refresh(entity);
+    });
+  }
+  
+  clear() {
+    this.queries.forEach(query => {
+      query.entities.length = 0;
+      query.indices.clear();
+      query.pending.clear();
+    });
+  }
+}
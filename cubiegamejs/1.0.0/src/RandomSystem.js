@@ -0,0 +1,109 @@
+// ============ RANDOM SYSTEM ============
+// Seeded, deterministic random numbers. Each named stream has its own
+// state derived from the master seed and the stream name, so drawing from
+// 'particles' never changes what 'level' produces.
+export class RandomStream {
+  constructor(seed) {
+    this.state = hashSeed(seed);
+  }
+  
+  // Mulberry32: float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6d2b79f5) | 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  
+  range(min, max) {
+    return this.next() * (max - min) + min;
+  }
+  
+  // Inclusive on both ends
+  int(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+  
+  chance(probability = 0.5) {
+    return this.next() < probability;
+  }
+  
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+  
+  // Fisher-Yates, in place
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = Math.floor(this.next() * (i + 1));
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+  
+  getState() {
+    return this.state;
+  }
+  
+  setState(state) {
+    this.state = state | 0;
+  }
+}
+
+export class RandomSystem {
+  constructor(engine) {
+    this.engine = engine;
+    this.streams = new Map();
+    this.seed = engine.config.seed !== undefined ? engine.config.seed : Math.floor(Math.random() * 4294967296);
+    this.default = this.stream('default');
+  }
+  
+  // Reseeds every stream; same seed, same sequence in every stream
+  setSeed(seed) {
+    this.seed = seed;
+    this.streams.forEach((stream, name) => {
+      stream.state = hashSeed(`${seed}:${name}`);
+    });
+    this.engine.logger.info(`Random seed: ${seed}`);
+    this.engine.events.emit('random:seed', seed);
+  }
+  
+  stream(name) {
+    if (!this.streams.has(name)) {
+      this.streams.set(name, new RandomStream(`${this.seed}:${name}`));
+    }
+    return this.streams.get(name);
+  }
+  
+  // Shortcuts on the default stream
+  next() { return this.default.next(); }
+  range(min, max) { return this.default.range(min, max); }
+  int(min, max) { return this.default.int(min, max); }
+  chance(probability) { return this.default.chance(probability); }
+  pick(array) { return this.default.pick(array); }
+  shuffle(array) { return this.default.shuffle(array); }
+  
+  // Seed plus every stream's position, for saves and replays
+  getState() {
+    const streams = {};
+    this.streams.forEach((stream, name) => { streams[name] = stream.getState(); });
+    return { seed: this.seed, streams };
+  }
+  
+  setState(state) {
+    this.seed = state.seed;
+    Object.entries(state.streams).forEach(([name, value]) => this.stream(name).setState(value));
+  }
+}
+
+// FNV-1a over the seed's text, so numbers and strings both work as seeds
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash | 0;
+}
@@ -0,0 +1,190 @@
+import { hasDocument } from './platform.js';
+
+// ============ SAVE SYSTEM ============
+// Named save slots on top of StorageSystem; slot calls return Promises.
+// Each slot holds metadata (timestamp, playtime, thumbnail) and a snapshot
+// of the active scene, engine clocks, random streams and any game data.
+// `version` is the game's save format; bump it and register a migration
+// whenever that format changes.
+// Tweens and particle emitters are not saved: they hold callbacks and object
+// references, so they keep running across a load and games restart their own
+// from 'save:load'. The engine clocks and fixed-step accumulators are saved.
+export class SaveSystem {
+  constructor(engine) {
+    this.engine = engine;
+    this.version = 1;
+    this.migrations = new Map(); // fromVersion -> fn(save) returning the next version
+    this.playtimeOffset = 0; // playtime carried over from a loaded save
+    this.indexQueue = Promise.resolve(); // pending writes to the 'saves' index
+  }
+  
+  setVersion(version) {
+    this.version = version;
+  }
+  
+  // fn receives a save written at `fromVersion` and returns it in the format of fromVersion + 1
+  migrate(fromVersion, fn) {
+    this.migrations.set(fromVersion, fn);
+  }
+  
+  // Seconds of unpaused play, including time from the save that was loaded
+  getPlaytime() {
+    return this.playtimeOffset + this.engine.unscaledTime;
+  }
+  
+  snapshot(data = null) {
+    const engine = this.engine;
+    return {
+      scene: engine.serializer.serialize(engine.scenes.current),
+      clock: {
+        time: engine.time,
+        unscaledTime: engine.unscaledTime,
+        fixedTime: engine.fixedTime,
+        frameCount: engine.frameCount,
+        fixedStepCount: engine.fixedStepCount,
+        accumulator: engine.accumulator,
+        unscaledAccumulator: engine.unscaledAccumulator,
+        timeScale: engine.timeScale
+      },
+      random: engine.random.getState(),
+      playtime: this.getPlaytime(),
+      data
+    };
+  }
+  
+  restore(snapshot) {
+    const engine = this.engine;
+    const sceneName = snapshot.scene.scene;
+    
+    if (sceneName && sceneName !== engine.scenes.current.name) {
+      if (engine.scenes.has(sceneName)) {
+        engine.scenes.switchTo(sceneName);
+      } else {
+        engine.logger.warn(`Saved scene "${sceneName}" is not registered, restoring into ${engine.scenes.current.name}`);
+      }
+    }
+    engine.serializer.load(snapshot.scene, engine.scenes.current);
+    
+    Object.assign(engine, snapshot.clock);
+    engine.random.setState(snapshot.random);
+    this.playtimeOffset = snapshot.playtime - engine.unscaledTime;
+    engine.clock.getDelta(); // do not count time spent loading as a frame
+    return snapshot.data;
+  }
+  
+  // options: { data, label, thumbnail, compress } where thumbnail is true (capture the canvas) or a data URL
+  async save(slot, options = {}) {
+    const thumbnail = options.thumbnail === true ? this.captureThumbnail() : options.thumbnail || null;
+    const metadata = {
+      slot,
+      label: options.label || slot,
+      timestamp: Date.now(),
+      playtime: this.getPlaytime(),
+      thumbnail,
+      version: this.version
+    };
+    const save = {
+      version: this.version,
+      engine: this.engine.version,
+      metadata,
+      snapshot: this.snapshot(options.data !== undefined ? options.data : null)
+    };
+    
+    // Rejects (e.g. with a StorageQuotaError) if the storage is full
+    await this.engine.storage.save(this.key(slot), save, options);
+    
+    await this.updateIndex(index => { index[slot] = metadata; });
+    
+    this.engine.logger.info(`Game saved: ${slot}`);
+    this.engine.events.emit('save:write', metadata);
+    return metadata;
+  }
+  
+  // Restores the slot and returns { metadata, data }, or null if it is empty
+  async load(slot) {
+    let save = await this.engine.storage.load(this.key(slot));
+    if (!save) {
+      this.engine.logger.warn(`No save in slot: ${slot}`);
+      return null;
+    }
+    
+    save = this.upgrade(save);
+    const data = this.restore(save.snapshot);
+    
+    this.engine.logger.info(`Game loaded: ${slot}`);
+    this.engine.events.emit('save:load', save.metadata);
+    return { metadata: save.metadata, data };
+  }
+  
+  // Runs registered migrations until the save matches the current version
+  upgrade(save) {
+    if (save.version > this.version) {
+      throw new Error(`Save "${save.metadata.slot}" has version ${save.version}, newer than supported version ${this.version}`);
+    }
+    
+    while (save.version < this.version) {
+      const migration = this.migrations.get(save.version);
+      if (!migration) {
+        throw new Error(`No save migration registered from version ${save.version}`);
+      }
+      const from = save.version;
+      save = migration(save);
+      save.version = from + 1;
+      save.metadata.version = save.version;
+      this.engine.logger.debug(`Save migrated: v${from} -> v${save.version}`);
+    }
+    return save;
+  }
+  
+  async has(slot) {
+    return slot in await this.readIndex();
+  }
+  
+  // Slot metadata, most recent first
+  async list() {
+    const index = await this.readIndex();
+    return Object.values(index).sort((a, b) => b.timestamp - a.timestamp);
+  }
+  
+  async delete(slot) {
+    await this.engine.storage.remove(this.key(slot));
+    await this.updateIndex(index => { delete index[slot]; });
+    this.engine.events.emit('save:delete', slot);
+  }
+  
+  async readIndex() {
+    return (await this.engine.storage.load('saves')) || {};
+  }
+  
+  // Index updates are read-modify-writes, so they run one at a time;
+  // otherwise two saves in flight would each drop the other's entry
+  updateIndex(fn) {
+    const update = this.indexQueue.then(async () => {
+      const index = await this.readIndex();
+      fn(index);
+      await this.engine.storage.save('saves', index);
+    });
+    this.indexQueue = update.catch(() => {}); // a failed write must not block later ones
+    return update;
+  }
+  
+  key(slot) {
+    return `save_${slot}`;
+  }
+  
+  // Small JPEG of the current frame, or null without a DOM
+  captureThumbnail(width = 160) {
+    const engine = this.engine;
+    if (!hasDocument || engine.config.mode === 'headless') return null;
+    
+    // WebGL clears its buffer after compositing, so draw a fresh frame first
+    if (engine.config.mode === '3d') engine.render();
+    const source = engine.config.mode === '2d' ? engine.canvas2d : engine.renderer.domElement;
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = Math.round(width * source.height / source.width);
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.7);
+  }
+}
@@ -0,0 +1,224 @@
+import * as THREE from 'three';
+import { GameScene } from './GameScene.js';
+
+// ============ SCENE MANAGER ============
+export class SceneManager {
+  constructor(engine) {
+    this.engine = engine;
+    this.scenes = new Map();
+    this.current = null;
+    this.building = null; // scene currently running its setup()
+    this.transition = null;
+    this.overlay = null;
+  }
+  
+  // Scene that newly created entities, lights and emitters belong to
+  get target() {
+    return this.building || this.current;
+  }
+  
+  build(scene, fn) {
+    const previous = this.building;
+    this.building = scene;
+    try {
+      fn();
+    } finally {
+      this.building = previous;
+    }
+  }
+  
+  add(name, definition = {}) {
+    const previous = this.scenes.get(name);
+    if (previous) {
+      this.engine.logger.warn(`Scene replaced: ${name}`);
+      if (previous !== this.current) this.remove(name);
+    }
+    const scene = new GameScene(name, definition, this.engine);
+    this.scenes.set(name, scene);
+    this.engine.logger.debug(`Scene added: ${name}`);
+    
+    if (previous) {
+      if (this.transition && this.transition.next === previous) this.transition.next = scene;
+      // Replacing the active scene switches to the new one right away, so
+      // current never points at a scene that is no longer registered
+      if (previous === this.current) {
+        this.swap(scene);
+        previous.unload(); // even with keepLoaded, nothing can reach it now
+      }
+    }
+    return scene;
+  }
+  
+  get(name) {
+    return this.scenes.get(name);
+  }
+  
+  has(name) {
+    return this.scenes.has(name);
+  }
+  
+  list() {
+    return Array.from(this.scenes.keys());
+  }
+  
+  remove(name) {
+    const scene = this.scenes.get(name);
+    if (!scene) return;
+    if (scene === this.current) {
+      this.engine.logger.warn(`Cannot remove the active scene: ${name}`);
+      return;
+    }
+    scene.unload();
+    this.scenes.delete(name);
+  }
+  
+  unload(name) {
+    const scene = this.scenes.get(name);
+    if (scene && scene !== this.current) scene.unload();
+  }
+  
+  // Scenes whose systems and entities tick this frame
+  updating() {
+    return Array.from(this.scenes.values()).filter(scene => scene.isUpdating());
+  }
+  
+  switchTo(name, options = {}) {
+    const next = this.scenes.get(name);
+    if (!next) {
+      this.engine.logger.error(`Unknown scene: ${name}`);
+      return Promise.reject(new Error(`Unknown scene: ${name}`));
+    }
+    
+    // A newer switch wins; finish the pending one immediately
+    if (this.transition) {
+      const pending = this.transition;
+      this.transition = null;
+      if (pending.phase === 'out') this.swap(pending.next, pending.options);
+      pending.resolve(pending.next);
+    }
+    
+    const type = options.transition || 'none';
+    if (type === 'none' || !this.current) {
+      this.swap(next, options);
+      return Promise.resolve(next);
+    }
+    
+    if (type !== 'fade') {
+      this.engine.logger.warn(`Unknown scene transition: ${type}, switching instantly`);
+      this.swap(next, options);
+      return Promise.resolve(next);
+    }
+    
+    return new Promise(resolve => {
+      this.transition = {
+        type,
+        next,
+        options,
+        resolve,
+        duration: options.duration !== undefined ? options.duration : 0.5,
+        color: options.color !== undefined ? options.color : 0x000000,
+        elapsed: 0,
+        phase: 'out',
+        alpha: 0
+      };
+    });
+  }
+  
+  swap(next, options = {}) {
+    const previous = this.current;
+    if (previous === next) return;
+    
+    if (previous) {
+      previous.exit();
+      if (!previous.keepLoaded && !options.keepPrevious) previous.unload();
+    }
+    
+    next.load();
+    this.current = next;
+    this.engine.three.scene = next.object3d;
+    next.enter(options.data);
+    
+    this.engine.logger.info(`Scene: ${next.name}`);
+    this.engine.events.emit('scene:change', { from: previous ? previous.name : null, to: next.name });
+  }
+  
+  // Advance transitions on real time so bullet-time does not slow them down
+  update(dt) {
+    const transition = this.transition;
+    if (!transition) return;
+    
+    const half = transition.duration / 2;
+    transition.elapsed += dt;
+    
+    if (transition.phase === 'out') {
+      transition.alpha = half > 0 ? Math.min(transition.elapsed / half, 1) : 1;
+      if (transition.elapsed >= half) {
+        this.swap(transition.next, transition.options);
+        transition.phase = 'in';
+        transition.elapsed = 0;
+      }
+    } else {
+      transition.alpha = half > 0 ? Math.max(1 - transition.elapsed / half, 0) : 0;
+      if (transition.elapsed >= half) {
+        this.transition = null;
+        transition.resolve(transition.next);
+      }
+    }
+  }
+  
+  // Draw the fade overlay on top of the rendered scene
+  renderTransition() {
+    const transition = this.transition;
+    if (!transition || transition.alpha <= 0) return;
+    const engine = this.engine;
+    
+    if (engine.config.mode === '2d') {
+      const ctx = engine.ctx2d;
+      ctx.save();
+      ctx.globalAlpha = transition.alpha;
+      ctx.fillStyle = `#${transition.color.toString(16).padStart(6, '0')}`;
+      ctx.fillRect(0, 0, engine.canvas2d.width, engine.canvas2d.height);
+      ctx.restore();
+    } else if (engine.config.mode === '3d') {
+      if (!this.overlay) {
+        const material = new THREE.MeshBasicMaterial({ transparent: true, depthTest: false, depthWrite: false });
+        this.overlay = {
+          scene: new THREE.Scene(),
+          camera: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1),
+          mesh: new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material)
+        };
+        this.overlay.scene.add(this.overlay.mesh);
+      }
+      this.overlay.mesh.material.color.set(transition.color);
+      this.overlay.mesh.material.opacity = transition.alpha;
+      
+      const renderer = engine.renderer;
+      const autoClear = renderer.autoClear;
+      renderer.autoClear = false;
+      renderer.render(this.overlay.scene, this.overlay.camera);
+      renderer.autoClear = autoClear;
+    }
+  }
+  
+  destroy() {
+    if (this.transition) {
+      this.transition.resolve(this.transition.next);
+      this.transition = null;
+    }
+    let disposed = 0;
+    this.scenes.forEach(scene => {
+      if (scene.active) scene.exit();
+      disposed += scene.unload();
+    });
+    this.scenes.clear();
+    this.current = null;
+    
+    if (this.overlay) {
+      this.overlay.mesh.geometry.dispose();
+      this.overlay.mesh.material.dispose();
+      this.overlay = null;
+      disposed += 2;
+    }
+    return disposed;
+  }
+}
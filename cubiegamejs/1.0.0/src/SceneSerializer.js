@@ -0,0 +1,296 @@
+// ============ SCENE SERIALIZER ============
+// Converts a scene's entities, lights, fog and background to plain JSON data
+// and back. Systems, hooks and scripts are code and are not serialized;
+// entities spawned from a prefab get that prefab's scripts again on load.
+export const SCENE_SCHEMA_VERSION = 1;
+
+const SCENE_FIELDS = ['version', 'engine', 'mode', 'scene', 'background', 'skybox', 'fog', 'lights', 'entities'];
+const ENTITY_FIELDS = [
+  'id', 'name', 'parent', 'prefab', 'primitive', 'material', 'castShadow', 'receiveShadow',
+  'position', 'rotation', 'scale', 'width', 'height', 'alpha', 'layer', 'imageName',
+  'enabled', 'visible', 'tags', 'components', 'physics'
+];
+const LIGHT_FIELDS = ['type', 'color', 'intensity', 'position', 'distance', 'angle', 'castShadow', 'shadowMapSize', 'shadowCameraSize'];
+const PRIMITIVES = ['box', 'sphere', 'plane', 'cylinder'];
+
+export class SceneSerializer {
+  constructor(engine) {
+    this.engine = engine;
+  }
+  
+  serialize(scene) {
+    const fog = scene.object3d && scene.object3d.fog;
+    const entities = [];
+    const visit = (entity) => {
+      entities.push(this.serializeEntity(entity, scene));
+      entity.children.forEach(visit);
+    };
+    // Parents before children so load can attach them in order
+    scene.entities.forEach(entity => {
+      if (!entity.parent) visit(entity);
+    });
+    
+    return {
+      version: SCENE_SCHEMA_VERSION,
+      engine: this.engine.version,
+      mode: this.engine.config.mode,
+      scene: scene.name,
+      background: scene.background,
+      skybox: scene.skybox ? [...scene.skybox] : null,
+      fog: fog ? { color: fog.color.getHex(), near: fog.near, far: fog.far } : null,
+      lights: scene.lights.map(light => this.serializeLight(light)),
+      entities
+    };
+  }
+  
+  serializeEntity(entity, scene) {
+    const data = {
+      id: entity.id,
+      name: entity.name,
+      parent: entity.parent ? entity.parent.id : null,
+      prefab: entity.prefab,
+      enabled: entity.enabled,
+      visible: entity.visible,
+      position: entity.position.get(),
+      rotation: entity.rotate.get(),
+      scale: entity.scale.get(),
+      tags: Array.from(entity.tags),
+      components: {}
+    };
+    
+    const mesh = entity.mesh;
+    if (mesh && mesh.isMesh) {
+      const primitive = this.describeGeometry(mesh.geometry);
+      if (primitive) {
+        data.primitive = primitive;
+        data.material = this.describeMaterial(mesh.material);
+        data.castShadow = mesh.castShadow;
+        data.receiveShadow = mesh.receiveShadow;
+      } else {
+        this.engine.logger.warn(`Entity "${entity.name}" has a custom mesh that will not be serialized`);
+      }
+    }
+    
+    if (this.engine.config.mode === '2d') {
+      data.width = entity.width;
+      data.height = entity.height;
+      data.alpha = entity.alpha;
+      data.imageName = entity.imageName;
+      scene.layers.forEach((layer, name) => {
+        if (layer.includes(entity)) data.layer = name;
+      });
+    }
+    
+    entity.components.forEach((component, name) => {
+      if (!isData(component)) {
+        throw new Error(`Cannot serialize component "${name}" on entity "${entity.name}": only plain objects, arrays, strings, numbers, booleans and null are supported`);
+      }
+      data.components[name] = clone(component);
+    });
+    
+    const body = this.engine.physics.getBody(entity);
+    if (body) data.physics = this.engine.physics.getBodyConfig(body);
+    
+    return data;
+  }
+  
+  describeGeometry(geometry) {
+    const p = geometry.parameters || {};
+    switch (geometry.type) {
+      case 'BoxGeometry':
+        return { type: 'box', width: p.width, height: p.height, depth: p.depth };
+      case 'SphereGeometry':
+        return { type: 'sphere', radius: p.radius, segments: p.widthSegments };
+      case 'PlaneGeometry':
+        return { type: 'plane', width: p.width, height: p.height };
+      case 'CylinderGeometry':
+        return { type: 'cylinder', radiusTop: p.radiusTop, radiusBottom: p.radiusBottom, height: p.height, segments: p.radialSegments };
+      default:
+        return null;
+    }
+  }
+  
+  describeMaterial(material) {
+    return {
+      color: material.color.getHex(),
+      roughness: material.roughness,
+      metalness: material.metalness,
+      transparent: material.transparent,
+      opacity: material.opacity
+    };
+  }
+  
+  serializeLight(light) {
+    const data = {
+      type: light.isDirectionalLight ? 'directional'
+        : light.isPointLight ? 'point'
+        : light.isSpotLight ? 'spot'
+        : 'ambient',
+      color: light.color.getHex(),
+      intensity: light.intensity
+    };
+    if (data.type === 'ambient') return data;
+    
+    data.position = { x: light.position.x, y: light.position.y, z: light.position.z };
+    data.castShadow = light.castShadow;
+    if (data.type === 'point') data.distance = light.distance;
+    if (data.type === 'spot') data.angle = light.angle;
+    if (data.type === 'directional' && light.castShadow) {
+      data.shadowMapSize = light.shadow.mapSize.width;
+      data.shadowCameraSize = light.shadow.camera.right;
+    }
+    return data;
+  }
+  
+  // ============ LOADING ============
+  // Replaces the scene's entities and lights with the ones described by data
+  load(data, scene) {
+    if (typeof data === 'string') data = JSON.parse(data);
+    this.validate(data);
+    const engine = this.engine;
+    
+    Array.from(scene.entities.values())
+      .filter(entity => !entity.parent)
+      .forEach(entity => engine.entity.remove(entity));
+    scene.lights.forEach(light => {
+      if (light.parent) light.parent.remove(light);
+      if (light.dispose) light.dispose();
+    });
+    scene.lights = [];
+    
+    const created = new Map(); // serialized id -> loaded entity
+    engine.scenes.build(scene, () => {
+      if (data.background !== null && data.background !== undefined) {
+        engine.scene.setBackground(data.background);
+      } else if (scene.object3d) {
+        scene.background = null;
+        scene.object3d.background = null;
+      }
+      if (data.skybox) engine.scene.setSkybox(data.skybox);
+      data.fog ? engine.scene.setFog(data.fog.color, data.fog.near, data.fog.far) : engine.scene.clearFog();
+      
+      (data.lights || []).forEach(light => {
+        const { type, ...options } = light;
+        engine.light.add(type, options);
+      });
+      
+      (data.entities || []).forEach(entry => {
+        created.set(entry.id, this.loadEntity(entry, created));
+      });
+    });
+    
+    engine.logger.debug(`Scene data loaded into ${scene.name}: ${created.size} entities`);
+    engine.events.emit('scene:deserialize', { scene, entities: Array.from(created.values()) });
+    return scene;
+  }
+  
+  loadEntity(entry, created) {
+    const engine = this.engine;
+    // Saved ids are kept so components that reference other entities by id still resolve
+    const options = {
+      id: entry.id,
+      duplicateNames: 'allow',
+      layer: entry.layer,
+      imageName: entry.imageName
+    };
+    
+    let entity;
+    if (entry.primitive) {
+      const { type, ...shape } = entry.primitive;
+      entity = engine.primitive[type](entry.name, {
+        ...shape,
+        ...entry.material,
+        castShadow: entry.castShadow,
+        receiveShadow: entry.receiveShadow,
+        id: entry.id,
+        duplicateNames: 'allow'
+      });
+    } else if (engine.config.mode === '2d') {
+      entity = engine.sprite.create(entry.name, { ...options, width: entry.width, height: entry.height });
+      entity.alpha = entry.alpha !== undefined ? entry.alpha : 1;
+    } else {
+      entity = engine.entity.create(entry.name, options);
+      // A z position means it was a 3D pivot group
+      if (entry.position && entry.position.z !== undefined) entity.ensureObject3D();
+    }
+    
+    if (entry.parent !== null && entry.parent !== undefined) {
+      created.get(entry.parent).addChild(entity);
+    }
+    
+    entity.prefab = entry.prefab || null;
+    if (entry.position) entity.position.set(entry.position);
+    if (entry.rotation !== undefined) entity.rotate.set(entry.rotation);
+    if (entry.scale !== undefined) entity.scale.set(entry.scale);
+    if (entry.enabled !== undefined) entity.enabled = entry.enabled;
+    if (entry.visible !== undefined) entity.visible = entry.visible;
+    (entry.tags || []).forEach(tag => entity.addTag(tag));
+    Object.entries(entry.components || {}).forEach(([name, value]) => {
+      entity.addComponent(name, clone(value));
+    });
+    if (entry.physics) engine.physics.addBody(entity, clone(entry.physics));
+    
+    if (entity.prefab && engine.prefab.has(entity.prefab)) {
+      (engine.prefab.resolve(entity.prefab).scripts || []).forEach(script => {
+        entity.addScript(typeof script === 'function' ? script(entity) : { ...script });
+      });
+    }
+    return entity;
+  }
+  
+  // Checks everything up front so a bad file never leaves a half-loaded scene
+  validate(data) {
+    if (!data || typeof data !== 'object' || data.version === undefined) {
+      throw new Error('Invalid scene data: missing schema version');
+    }
+    if (data.version > SCENE_SCHEMA_VERSION) {
+      throw new Error(`Scene data version ${data.version} is newer than supported version ${SCENE_SCHEMA_VERSION}`);
+    }
+    checkFields(data, SCENE_FIELDS, 'scene data');
+    if (data.mode && (data.mode === '2d') !== (this.engine.config.mode === '2d')) {
+      throw new Error(`Scene data was saved in ${data.mode} mode and cannot be loaded in ${this.engine.config.mode} mode`);
+    }
+    
+    (data.lights || []).forEach((light, index) => {
+      checkFields(light, LIGHT_FIELDS, `light #${index}`);
+      if (!['directional', 'point', 'spot', 'ambient'].includes(light.type)) {
+        throw new Error(`Unknown light type "${light.type}" in light #${index}`);
+      }
+    });
+    
+    const ids = new Set();
+    (data.entities || []).forEach((entry, index) => {
+      const label = `entity "${entry.name !== undefined ? entry.name : `#${index}`}"`;
+      checkFields(entry, ENTITY_FIELDS, label);
+      if (entry.id === undefined || ids.has(entry.id)) {
+        throw new Error(`Missing or duplicate id in ${label}`);
+      }
+      if (entry.primitive && !PRIMITIVES.includes(entry.primitive.type)) {
+        throw new Error(`Unknown primitive "${entry.primitive.type}" in ${label}`);
+      }
+      if (entry.parent !== null && entry.parent !== undefined && !ids.has(entry.parent)) {
+        throw new Error(`Unknown parent id ${entry.parent} in ${label} (parents must come first)`);
+      }
+      ids.add(entry.id);
+    });
+  }
+}
+
+function checkFields(object, allowed, label) {
+  Object.keys(object).forEach(key => {
+    if (!allowed.includes(key)) throw new Error(`Unknown field "${key}" in ${label}`);
+  });
+}
+
+function isData(value) {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) return true;
+  if (Array.isArray(value)) return value.every(isData);
+  if (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.values(value).every(isData);
+  }
+  return false;
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,27 @@
+// ============ SPRITE SYSTEM ============
+export class SpriteSystem {
+  constructor(engine) {
+    this.engine = engine;
+  }
+  
+  create(name, options) {
+    const entity = this.engine.entity.create(name, {
+      x: options.x || 0,
+      y: options.y || 0,
+      width: options.width || 32,
+      height: options.height || 32,
+      image: options.image || null,
+      imageName: options.imageName || null,
+      layer: options.layer || 'main',
+      parent: options.parent,
+      id: options.id,
+      duplicateNames: options.duplicateNames
+    });
+    
+    if (options.imageName) {
+      entity.image = this.engine.assets.getImage(options.imageName);
+    }
+    
+    return entity;
+  }
+}
@@ -0,0 +1,168 @@
+// ============ STORAGE BACKENDS ============
+// Adapters used by StorageSystem. Every backend stores strings and exposes
+// the same async interface:
+//   get(key) -> string | null, set(key, value), remove(key), keys() -> string[]
+// A backend that runs out of space rejects with an error named
+// 'QuotaExceededError'; StorageSystem turns it into a StorageQuotaError.
+
+export class MemoryBackend {
+  // quota: optional limit in characters, handy for testing full-storage handling
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.items = new Map();
+    this.quota = options.quota || Infinity;
+  }
+  
+  async get(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+  
+  async set(key, value) {
+    let used = value.length;
+    this.items.forEach((item, itemKey) => {
+      if (itemKey !== key) used += item.length;
+    });
+    if (used > this.quota) {
+      const error = new Error(`Memory storage quota of ${this.quota} exceeded`);
+      error.name = 'QuotaExceededError';
+      throw error;
+    }
+    this.items.set(key, value);
+  }
+  
+  async remove(key) {
+    this.items.delete(key);
+  }
+  
+  async keys() {
+    return Array.from(this.items.keys());
+  }
+}
+
+export class LocalStorageBackend {
+  constructor() {
+    this.name = 'localStorage';
+  }
+  
+  static isAvailable() {
+    try {
+      return typeof localStorage !== 'undefined' && localStorage !== null;
+    } catch (error) {
+      return false; // access can throw when storage is disabled
+    }
+  }
+  
+  async get(key) {
+    return localStorage.getItem(key);
+  }
+  
+  async set(key, value) {
+    localStorage.setItem(key, value);
+  }
+  
+  async remove(key) {
+    localStorage.removeItem(key);
+  }
+  
+  async keys() {
+    return Object.keys(localStorage);
+  }
+}
+
+export class IndexedDBBackend {
+  constructor(options = {}) {
+    this.name = 'indexedDB';
+    this.database = options.database || 'cubiegame';
+    this.store = options.store || 'storage';
+    // localStorage keys with this prefix are copied in when the database is
+    // first created, so data saved before the switch to IndexedDB carries over
+    this.migratePrefix = options.migratePrefix || null;
+    this.db = null;
+  }
+  
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+  
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.database, 1);
+        request.onupgradeneeded = (event) => {
+          const store = request.result.createObjectStore(this.store);
+          if (event.oldVersion === 0) this.migrate(store);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+  
+  // Runs inside the upgrade transaction: it commits with the new store or not at all.
+  // localStorage is left as it was.
+  migrate(store) {
+    if (!this.migratePrefix || !LocalStorageBackend.isAvailable()) return;
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(this.migratePrefix))
+      .forEach(key => store.put(localStorage.getItem(key), key));
+  }
+  
+  // Runs one request in its own transaction and resolves when it commits
+  async request(mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.store, mode);
+      const request = fn(transaction.objectStore(this.store));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || request.error);
+    });
+  }
+  
+  async get(key) {
+    const value = await this.request('readonly', store => store.get(key));
+    return value !== undefined ? value : null;
+  }
+  
+  async set(key, value) {
+    await this.request('readwrite', store => store.put(value, key));
+  }
+  
+  async remove(key) {
+    await this.request('readwrite', store => store.delete(key));
+  }
+  
+  async keys() {
+    return this.request('readonly', store => store.getAllKeys());
+  }
+  
+  close() {
+    if (!this.db) return;
+    this.db.then(db => db.close(), () => {});
+    this.db = null;
+  }
+}
+
+// 'auto' prefers IndexedDB (async, larger quota), then localStorage, then
+// memory (Node, workers). options.migratePrefix: see IndexedDBBackend.
+export function createStorageBackend(type = 'auto', options = {}) {
+  if (typeof type === 'object') return type;
+  
+  switch (type) {
+    case 'memory':
+      return new MemoryBackend();
+    case 'local':
+    case 'localStorage':
+      return new LocalStorageBackend();
+    case 'indexeddb':
+    case 'indexedDB':
+      return new IndexedDBBackend({ migratePrefix: options.migratePrefix });
+    case 'auto':
+      if (IndexedDBBackend.isAvailable()) return new IndexedDBBackend({ migratePrefix: options.migratePrefix });
+      if (LocalStorageBackend.isAvailable()) return new LocalStorageBackend();
+      return new MemoryBackend();
+    default:
+      throw new Error(`Unknown storage backend: ${type}`);
+  }
+}
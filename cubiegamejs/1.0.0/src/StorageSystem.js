@@ -0,0 +1,112 @@
+import { createStorageBackend } from './StorageBackends.js';
+
+// ============ STORAGE SYSTEM ============
+// Prefix marking a value stored as base64 gzip instead of plain JSON
+const COMPRESSED = '~gz:';
+
+export class StorageQuotaError extends Error {
+  constructor(key, size, cause) {
+    super(`Storage quota exceeded while saving "${key}" (${size} characters)`);
+    this.name = 'StorageQuotaError';
+    this.key = key;
+    this.size = size;
+    this.cause = cause;
+  }
+}
+
+// Async key/value storage for JSON data on a pluggable backend (see StorageBackends.js).
+export class StorageSystem {
+  constructor(engine) {
+    this.engine = engine;
+    this.prefix = 'cubiegame_';
+    // Saves from before IndexedDB became the default are moved over on first open
+    this.backend = createStorageBackend(engine.config.storage, { migratePrefix: this.prefix });
+    // false, true, or a size in characters above which values are compressed
+    this.compress = engine.config.storageCompression;
+  }
+  
+  setBackend(backend) {
+    this.backend = createStorageBackend(backend, { migratePrefix: this.prefix });
+    this.engine.logger.debug(`Storage backend: ${this.backend.name}`);
+  }
+  
+  // options.compress overrides the engine-wide setting for this value
+  async save(key, data, options = {}) {
+    let value = JSON.stringify(data);
+    const compress = options.compress !== undefined ? options.compress : this.compress;
+    if (compress === true || (typeof compress === 'number' && value.length > compress)) {
+      value = await this.deflate(value);
+    }
+    
+    try {
+      await this.backend.set(this.prefix + key, value);
+      return true;
+    } catch (error) {
+      const reported = isQuotaError(error) ? new StorageQuotaError(key, value.length, error) : error;
+      this.engine.logger.error(`Failed to save data: ${key}`, reported);
+      this.engine.events.emit('storage:error', { key, error: reported });
+      throw reported;
+    }
+  }
+  
+  async load(key) {
+    try {
+      const value = await this.backend.get(this.prefix + key);
+      if (value === null) return null;
+      return JSON.parse(value.startsWith(COMPRESSED) ? await this.inflate(value) : value);
+    } catch (error) {
+      this.engine.logger.error(`Failed to load data: ${key}`, error);
+      this.engine.events.emit('storage:error', { key, error });
+      throw error;
+    }
+  }
+  
+  async remove(key) {
+    await this.backend.remove(this.prefix + key);
+  }
+  
+  // Keys saved by this engine, without the prefix
+  async keys() {
+    const keys = await this.backend.keys();
+    return keys
+      .filter(key => key.startsWith(this.prefix))
+      .map(key => key.slice(this.prefix.length));
+  }
+  
+  async clear() {
+    const keys = await this.keys();
+    await Promise.all(keys.map(key => this.remove(key)));
+  }
+  
+  // gzip + base64 via CompressionStream; stored uncompressed where unsupported
+  async deflate(text) {
+    if (typeof CompressionStream === 'undefined') {
+      this.engine.logger.warn('CompressionStream is not supported, storing uncompressed');
+      return text;
+    }
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return COMPRESSED + btoa(binary);
+  }
+  
+  async inflate(value) {
+    const binary = atob(value.slice(COMPRESSED.length));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text();
+  }
+}
+
+// Browsers report a full store with different names and legacy codes
+function isQuotaError(error) {
+  return !!error && (
+    error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014
+  );
+}
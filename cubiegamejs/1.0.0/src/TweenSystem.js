@@ -0,0 +1,70 @@
+// ============ TWEEN SYSTEM ============
+export class TweenSystem {
+  constructor(engine) {
+    this.engine = engine;
+    this.tweens = [];
+    this.ignoreTimeScale = false;
+  }
+  
+  to(target, props, duration, options = {}) {
+    const tween = {
+      target,
+      startValues: {},
+      endValues: props,
+      duration,
+      elapsed: 0,
+      easing: options.easing || this.easeLinear,
+      onUpdate: options.onUpdate,
+      onComplete: options.onComplete,
+      delay: options.delay || 0,
+      active: true
+    };
+    
+    // Store start values
+    Object.keys(props).forEach(key => {
+      tween.startValues[key] = target[key];
+    });
+    
+    this.tweens.push(tween);
+    return tween;
+  }
+  
+  update(dt) {
+    this.tweens = this.tweens.filter(tween => {
+      if (!tween.active) return false;
+      
+      if (tween.delay > 0) {
+        tween.delay -= dt;
+        return true;
+      }
+      
+      tween.elapsed += dt;
+      const t = Math.min(tween.elapsed / tween.duration, 1);
+      const easedT = tween.easing(t);
+      
+      Object.keys(tween.endValues).forEach(key => {
+        const start = tween.startValues[key];
+        const end = tween.endValues[key];
+        tween.target[key] = start + (end - start) * easedT;
+      });
+      
+      if (tween.onUpdate) tween.onUpdate(tween.target, easedT);
+      
+      if (t >= 1) {
+        if (tween.onComplete) tween.onComplete(tween.target);
+        return false;
+      }
+      
+      return true;
+    });
+  }
+  
+  // Easing functions
+  easeLinear(t) { return t; }
+  easeInQuad(t) { return t * t; }
+  easeOutQuad(t) { return t * (2 - t); }
+  easeInOutQuad(t) { return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t; }
+  easeInCubic(t) { return t * t * t; }
+  easeOutCubic(t) { return (--t) * t * t + 1; }
+  easeInOutCubic(t) { return t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1; }
+}
@@ -0,0 +1,263 @@
+import { hasDocument } from './platform.js';
+import { applyDeadzone } from './InputBindings.js';
+
+// ============ VIRTUAL CONTROLS ============
+// On-screen joystick and buttons for touch screens. A control owns every
+// touch that starts on it (those touches make no gestures) and feeds actions
+// and axes through 'virtual:' bindings:
+//   'virtual:stick.x', 'virtual:stick.y'   joystick axes, -1..1
+//   'virtual:stick'                        joystick being held
+//   'virtual:jump'                         button
+// Positions are canvas pixels; negative x/y count from the right/bottom edge.
+export class VirtualJoystick {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.type = 'joystick';
+    this.x = options.x !== undefined ? options.x : 110;
+    this.y = options.y !== undefined ? options.y : -110;
+    this.radius = options.radius || 60;
+    this.reach = options.reach || 1.5; // touches this many radii away still grab it
+    this.deadzone = options.deadzone !== undefined ? options.deadzone : 0.1;
+    this.color = options.color || '#ffffff';
+    this.opacity = options.opacity !== undefined ? options.opacity : 0.35;
+    this.enabled = true;
+    this.touchId = null;
+    this.value = { x: 0, y: 0 };
+    this.knob = null; // drawn knob offset, -1..1
+    this.pressed = false;
+    this.released = false;
+  }
+  
+  contains(touch, width, height) {
+    const center = resolvePosition(this, width, height);
+    return Math.hypot(touch.x - center.x, touch.y - center.y) <= this.radius * this.reach;
+  }
+  
+  // Knob offset from the centre, clamped to the rim
+  move(touch, width, height) {
+    const center = resolvePosition(this, width, height);
+    let x = (touch.x - center.x) / this.radius;
+    let y = (touch.y - center.y) / this.radius;
+    const length = Math.sqrt(x * x + y * y);
+    if (length > 1) {
+      x /= length;
+      y /= length;
+    }
+    this.knob = { x, y };
+    this.value = applyDeadzone(x, y, this.deadzone, 'radial');
+  }
+  
+  release() {
+    this.knob = null;
+    this.value = { x: 0, y: 0 };
+  }
+  
+  read(axis) {
+    if (axis === 'x' || axis === 'y') return { value: this.value[axis], pressed: false, released: false };
+    return { value: this.touchId !== null ? 1 : 0, pressed: this.pressed, released: this.released };
+  }
+  
+  render(ctx, width, height) {
+    const center = resolvePosition(this, width, height);
+    const knob = this.knob || { x: 0, y: 0 };
+    ctx.globalAlpha = this.opacity;
+    ctx.fillStyle = this.color;
+    ctx.strokeStyle = this.color;
+    ctx.lineWidth = 3;
+    
+    ctx.beginPath();
+    ctx.arc(center.x, center.y, this.radius, 0, Math.PI * 2);
+    ctx.stroke();
+    
+    ctx.globalAlpha = this.opacity * (this.touchId !== null ? 2 : 1.5);
+    ctx.beginPath();
+    ctx.arc(center.x + knob.x * this.radius, center.y + knob.y * this.radius, this.radius * 0.45, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+export class VirtualButton {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.type = 'button';
+    this.x = options.x !== undefined ? options.x : -90;
+    this.y = options.y !== undefined ? options.y : -90;
+    this.radius = options.radius || 40;
+    this.reach = options.reach || 1.2;
+    this.label = options.label || '';
+    this.color = options.color || '#ffffff';
+    this.opacity = options.opacity !== undefined ? options.opacity : 0.35;
+    this.enabled = true;
+    this.touchId = null;
+    this.pressed = false;
+    this.released = false;
+  }
+  
+  contains(touch, width, height) {
+    const center = resolvePosition(this, width, height);
+    return Math.hypot(touch.x - center.x, touch.y - center.y) <= this.radius * this.reach;
+  }
+  
+  move() {}
+  
+  release() {}
+  
+  read() {
+    return { value: this.touchId !== null ? 1 : 0, pressed: this.pressed, released: this.released };
+  }
+  
+  render(ctx, width, height) {
+    const center = resolvePosition(this, width, height);
+    ctx.globalAlpha = this.opacity * (this.touchId !== null ? 2 : 1);
+    ctx.fillStyle = this.color;
+    ctx.beginPath();
+    ctx.arc(center.x, center.y, this.radius, 0, Math.PI * 2);
+    ctx.fill();
+    
+    if (this.label) {
+      ctx.globalAlpha = Math.min(1, this.opacity * 2.5);
+      ctx.fillStyle = '#000000';
+      ctx.font = `bold ${Math.round(this.radius * 0.7)}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(this.label, center.x, center.y);
+    }
+  }
+}
+
+export class VirtualControls {
+  constructor(input) {
+    this.input = input;
+    this.engine = input.engine;
+    this.controls = new Map();
+    // true, false, or 'touch' to show them once the player has touched the screen
+    this.visible = 'touch';
+    this.touchSeen = false;
+    this.overlay = null; // canvas drawn over the game canvas
+  }
+  
+  add(control) {
+    this.controls.set(control.name, control);
+    return control;
+  }
+  
+  remove(name) {
+    this.controls.delete(name);
+  }
+  
+  get(name) {
+    return this.controls.get(name) || null;
+  }
+  
+  // True when a control took the touch
+  touchStart(touch) {
+    this.touchSeen = true;
+    const { width, height } = this.engine.config;
+    for (const control of this.controls.values()) {
+      if (control.enabled && control.touchId === null && control.contains(touch, width, height)) {
+        control.touchId = touch.id;
+        control.pressed = true;
+        control.move(touch, width, height);
+        return true;
+      }
+    }
+    return false;
+  }
+  
+  touchMove(touch) {
+    const control = this.owner(touch.id);
+    if (!control) return false;
+    control.move(touch, this.engine.config.width, this.engine.config.height);
+    return true;
+  }
+  
+  touchEnd(touch) {
+    const control = this.owner(touch.id);
+    if (!control) return false;
+    control.touchId = null;
+    control.released = true;
+    control.release();
+    return true;
+  }
+  
+  owner(touchId) {
+    for (const control of this.controls.values()) {
+      if (control.touchId === touchId) return control;
+    }
+    return null;
+  }
+  
+  // code: 'name' or 'name.x' / 'name.y'
+  read(code) {
+    const [name, axis] = code.split('.');
+    const control = this.controls.get(name);
+    return control ? control.read(axis) : { value: 0, pressed: false, released: false };
+  }
+  
+  endFrame() {
+    this.controls.forEach(control => {
+      control.pressed = false;
+      control.released = false;
+    });
+  }
+  
+  // Lets go of every touch, e.g. when input state is restored for a replay
+  reset() {
+    this.controls.forEach(control => {
+      control.touchId = null;
+      control.release();
+    });
+  }
+  
+  isVisible() {
+    return this.visible === 'touch' ? this.touchSeen : !!this.visible;
+  }
+  
+  render() {
+    const canvas = this.input.canvas;
+    if (!canvas || !hasDocument || this.controls.size === 0) return;
+    
+    const visible = this.isVisible();
+    if (!this.overlay) {
+      if (!visible || !canvas.parentNode) return;
+      this.overlay = document.createElement('canvas');
+      this.overlay.style.position = 'absolute';
+      this.overlay.style.pointerEvents = 'none'; // touches reach the game canvas
+      canvas.parentNode.insertBefore(this.overlay, canvas.nextSibling);
+    }
+    
+    // Track the game canvas, which may have moved or been resized
+    const { width, height } = this.engine.config;
+    const overlay = this.overlay;
+    overlay.style.display = visible ? 'block' : 'none';
+    if (!visible) return;
+    overlay.style.left = `${canvas.offsetLeft}px`;
+    overlay.style.top = `${canvas.offsetTop}px`;
+    overlay.style.width = `${canvas.offsetWidth}px`;
+    overlay.style.height = `${canvas.offsetHeight}px`;
+    if (overlay.width !== width) overlay.width = width;
+    if (overlay.height !== height) overlay.height = height;
+    
+    const ctx = overlay.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    this.controls.forEach(control => {
+      if (!control.enabled) return;
+      ctx.save();
+      control.render(ctx, width, height);
+      ctx.restore();
+    });
+  }
+  
+  destroy() {
+    this.controls.clear();
+    if (this.overlay && this.overlay.parentNode) this.overlay.parentNode.removeChild(this.overlay);
+    this.overlay = null;
+  }
+}
+
+function resolvePosition(control, width, height) {
+  return {
+    x: control.x < 0 ? width + control.x : control.x,
+    y: control.y < 0 ? height + control.y : control.y
+  };
+}
@@ -0,0 +1,35 @@
+// ============ THREE.JS DISPOSAL ============
+// Free the GPU resources held by an object tree (geometries, materials, textures).
+// Returns how many resources were disposed.
+const disposeMaterial = (material) => {
+  let count = 1;
+  Object.values(material).forEach(value => {
+    if (value && value.isTexture) {
+      value.dispose();
+      count++;
+    }
+  });
+  material.dispose();
+  return count;
+};
+
+export const disposeObject3D = (root) => {
+  let count = 0;
+  root.traverse(object => {
+    if (object.geometry) {
+      object.geometry.dispose();
+      count++;
+    }
+    if (object.material) {
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      materials.forEach(material => { count += disposeMaterial(material); });
+    }
+  });
+  
+  if (root.background && root.background.isTexture) {
+    root.background.dispose();
+    count++;
+  }
+  if (root.clear) root.clear();
+  return count;
+};
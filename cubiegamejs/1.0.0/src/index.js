@@ -0,0 +1,29 @@
+// ========================================
+// CUBIEGAMEJS v1.0.0
+// Created by CubieCloud
+// ========================================
+
+export { Cubie } from './Cubie.js';
+export { Entity } from './Entity.js';
+export { InputSystem } from './InputSystem.js';
+export { parseBinding, bindingId, GAMEPAD_BUTTONS, GAMEPAD_AXES } from './InputBindings.js';
+export { VirtualJoystick, VirtualButton } from './VirtualControls.js';
+export { GestureRecognizer } from './Gestures.js';
+export { PhysicsSystem } from './PhysicsSystem.js';
+export { createCollider, worldShape, shapeBounds, collide, COLLIDER_TYPES } from './Colliders.js';
+export { createBroadphase, SweepAndPruneBroadphase, SpatialHashBroadphase, BruteForceBroadphase, BROADPHASE_TYPES } from './Broadphase.js';
+export { AudioSystem } from './AudioSystem.js';
+export { AssetSystem } from './AssetSystem.js';
+export { ParticleSystem } from './ParticleSystem.js';
+export { TweenSystem } from './TweenSystem.js';
+export { Logger } from './Logger.js';
+export { PerformanceMonitor } from './PerformanceMonitor.js';
+export { GraphicsSystem } from './GraphicsSystem.js';
+export { StorageSystem, StorageQuotaError } from './StorageSystem.js';
+export { MemoryBackend, LocalStorageBackend, IndexedDBBackend } from './StorageBackends.js';
+export { SaveSystem } from './SaveSystem.js';
+export { SpriteSystem } from './SpriteSystem.js';
+export { PrefabSystem } from './PrefabSystem.js';
+export { SceneSerializer, SCENE_SCHEMA_VERSION } from './SceneSerializer.js';
+export { EventEmitter } from './EventEmitter.js';
+export { RandomSystem, RandomStream } from './RandomSystem.js';
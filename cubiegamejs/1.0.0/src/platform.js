@@ -0,0 +1,37 @@
+// ============ PLATFORM ============
+// Feature checks so the engine can run outside a browser (Node, workers, CI).
+export const hasWindow = typeof window !== 'undefined';
+export const hasDocument = typeof document !== 'undefined';
+export const hasNavigator = typeof navigator !== 'undefined';
+
+export const now = () => {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+};
+
+export const requestFrame = (callback) => {
+  if (hasWindow && window.requestAnimationFrame) {
+    return window.requestAnimationFrame(callback);
+  }
+  return setTimeout(() => callback(now()), 1000 / 60);
+};
+
+export const cancelFrame = (handle) => {
+  if (hasWindow && window.cancelAnimationFrame) {
+    window.cancelAnimationFrame(handle);
+  } else {
+    clearTimeout(handle);
+  }
+};
+
+// Attach a DOM listener and remember it so it can be removed on teardown
+export const listen = (registry, target, type, handler, options) => {
+  target.addEventListener(type, handler, options);
+  registry.push({ target, type, handler, options });
+};
+
+export const unlistenAll = (registry) => {
+  registry.forEach(({ target, type, handler, options }) => {
+    target.removeEventListener(type, handler, options);
+  });
+  registry.length = 0;
+};